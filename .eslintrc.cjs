@@ -18,4 +18,10 @@ module.exports = {
             { allowConstantExport: true },
         ],
     },
+    overrides: [
+        {
+            files: ['scripts/**'],
+            env: { node: true },
+        },
+    ],
 }
\ No newline at end of file
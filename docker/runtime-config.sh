@@ -0,0 +1,32 @@
+#!/bin/sh
+# Write the app's config.json from environment variables when the container
+# starts, so one image can load models from the Hugging Face Hub or from the
+# models/ folder it serves itself.
+#
+#   LOCAL_MODEL_PATH     URL path of self-hosted models, e.g. /models/
+#   ALLOW_REMOTE_MODELS  "false" to never contact the Hub
+#   WASM_PATH            URL path of the ONNX Runtime WebAssembly files
+set -e
+
+# A JSON string, or null when empty. Backslashes are escaped before quotes,
+# so the backslashes added for quotes aren't doubled.
+json_string() {
+    if [ -n "$1" ]; then
+        printf '"%s"' "$(printf '%s' "$1" | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g')"
+    else
+        printf 'null'
+    fi
+}
+
+case "${ALLOW_REMOTE_MODELS:-true}" in
+    false|0|no) allow_remote=false ;;
+    *) allow_remote=true ;;
+esac
+
+cat > /usr/share/nginx/html/config.json <<JSON
+{
+  "localModelPath": $(json_string "$LOCAL_MODEL_PATH"),
+  "allowRemoteModels": $allow_remote,
+  "wasmPath": $(json_string "$WASM_PATH")
+}
+JSON
@@ -0,0 +1,92 @@
+// Keeps the app shell available offline. Model files are cached separately,
+// by transformers.js, in its own "transformers-cache".
+const CACHE_NAME = "app-shell-v1";
+// The ONNX Runtime WebAssembly binaries are fetched from this CDN
+const CDN_HOSTS = ["cdn.jsdelivr.net"];
+// Built assets and static files. Locally served models are left alone, since
+// transformers.js caches those itself.
+const SHELL_PATH = /\/assets\/|\.(?:ico|webmanifest)$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(["./", "manifest.webmanifest"]))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("app-shell-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page sends the scripts and styles it loaded before this worker was
+// in control, so the first visit is enough to work offline
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "cache-urls") {
+    event.waitUntil(
+      caches.open(CACHE_NAME).then((cache) =>
+        Promise.all(
+          event.data.urls.map(async (url) => {
+            if (!(await cache.match(url))) await cache.add(url);
+          }),
+        ),
+      ),
+    );
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Pages and the runtime config come from the network when it's there, so
+// changes show up. All pages are the same app, so one copy serves them all.
+async function networkFirst(request, key = request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "./"));
+  } else if (url.href === new URL("config.json", self.registration.scope).href) {
+    event.respondWith(networkFirst(request));
+  } else if (
+    (url.origin === self.location.origin && SHELL_PATH.test(url.pathname)) ||
+    CDN_HOSTS.includes(url.hostname)
+  ) {
+    // Built assets have content hashes in their names, so never go stale
+    event.respondWith(cacheFirst(request));
+  }
+});
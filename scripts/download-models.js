@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Download models from the Hugging Face Hub into a folder laid out like the
+// Hub (`<out>/<hub id>/<file>`), for the Docker image to serve on a network
+// that can't reach huggingface.co. Run it where the Hub is reachable.
+//
+//   node scripts/download-models.js [--out models] [--device webgpu|wasm|all] [--extras] <model>...
+//
+// <model> is a key from src/utils/models.js (e.g. base, small.en). Files for
+// every device are fetched by default, since clients may fall back to WASM.
+// --extras adds the formatting and speaker diarization models.
+import { createWriteStream } from "node:fs";
+import { mkdir, rename, stat } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+import {
+  CONFIG_FILES,
+  EMBEDDING_MODEL_ID,
+  FORMATTER_MODEL_ID,
+  MODELS,
+  SEGMENTATION_MODEL_ID,
+  fetchModelFiles,
+} from "../src/utils/models.js";
+
+// The ONNX files the worker loads from the other models
+const EXTRAS = [
+  { id: FORMATTER_MODEL_ID, files: ["onnx/model_q4f16.onnx", "onnx/model_q4.onnx"] },
+  { id: SEGMENTATION_MODEL_ID, files: ["onnx/model.onnx"] },
+  { id: EMBEDDING_MODEL_ID, files: ["onnx/model.onnx"] },
+];
+
+function parseArgs(argv) {
+  const args = { out: "models", devices: ["webgpu", "wasm"], extras: false, models: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--out") {
+      args.out = argv[++i];
+    } else if (arg === "--device") {
+      const device = argv[++i];
+      args.devices = device === "all" ? ["webgpu", "wasm"] : [device];
+    } else if (arg === "--extras") {
+      args.extras = true;
+    } else {
+      args.models.push(arg);
+    }
+  }
+  return args;
+}
+
+async function exists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function download(id, file, out, { optional = false } = {}) {
+  const path = join(out, id, file);
+  if (await exists(path)) {
+    console.log(`  ${file} (already there)`);
+    return;
+  }
+  const response = await fetch(`https://huggingface.co/${id}/resolve/main/${file}`);
+  if (response.status === 404 && optional) return;
+  if (!response.ok) throw new Error(`${id}/${file}: HTTP ${response.status}`);
+  await mkdir(dirname(path), { recursive: true });
+  // Only complete files get their real name, so a rerun resumes cleanly
+  await pipeline(Readable.fromWeb(response.body), createWriteStream(`${path}.part`));
+  await rename(`${path}.part`, path);
+  console.log(`  ${file}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.models.length === 0 && !args.extras) {
+    console.error("Usage: node scripts/download-models.js [--out models] [--device webgpu|wasm|all] [--extras] <model>...");
+    console.error(`Models: ${MODELS.map(({ key }) => key).join(", ")}`);
+    process.exit(1);
+  }
+
+  const jobs = [];
+  for (const key of args.models) {
+    const model = MODELS.find((entry) => entry.key === key);
+    if (!model) throw new Error(`Unknown model "${key}"`);
+    const files = new Set();
+    for (const device of args.devices) {
+      const weights = await fetchModelFiles(model, device);
+      if (!weights) throw new Error(`Could not list the files of ${model.id}`);
+      weights.forEach(({ path }) => files.add(path));
+    }
+    jobs.push({ id: model.id, files: [...files] });
+  }
+  if (args.extras) jobs.push(...EXTRAS);
+
+  for (const { id, files } of jobs) {
+    console.log(id);
+    for (const file of CONFIG_FILES) {
+      await download(id, file, args.out, { optional: true });
+    }
+    for (const file of files) {
+      await download(id, file, args.out);
+    }
+  }
+  console.log(`Done. Serve ${args.out}/ at /models/ and set LOCAL_MODEL_PATH=/models/.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
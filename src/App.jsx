@@ -1,16 +1,139 @@
-import { useEffect, useState, useRef } from "react";
+import { useCallback, useEffect, useState, useRef, useMemo } from "react";
 import packageJson from "../package.json";
 
 import { AudioVisualizer } from "./components/AudioVisualizer";
+import DictationCommands from "./components/DictationCommands";
+import DictationPad from "./components/DictationPad";
+import ErrorBanner from "./components/ErrorBanner";
+import ExportMenu from "./components/ExportMenu";
+import FileUpload from "./components/FileUpload";
+import FormattedTranscript from "./components/FormattedTranscript";
+import HistorySidebar from "./components/HistorySidebar";
+import LanguageSelect from "./components/LanguageSelect";
+import LevelMeter from "./components/LevelMeter";
+import MicrophoneSettings from "./components/MicrophoneSettings";
+import ModelManager from "./components/ModelManager";
+import ModelSelect from "./components/ModelSelect";
+import PlaybackPanel from "./components/PlaybackPanel";
 import Progress from "./components/Progress";
+import ShortcutsPanel from "./components/ShortcutsPanel";
+import SpeakerList from "./components/SpeakerList";
+import TranscriptSearch from "./components/TranscriptSearch";
+import TranscriptView from "./components/TranscriptView";
+import VocabularyPanel from "./components/VocabularyPanel";
+import { WHISPER_SAMPLING_RATE } from "./constants";
+import { captureDisplayAudio, decodeAudio, decodeAudioFile, mixStreams, startPcmCapture } from "./utils/audio";
+import { loadConfig } from "./utils/config";
+import { getSession, saveSession } from "./utils/db";
+import {
+  applyDictation,
+  compileCommands,
+  loadDictationDocument,
+  loadDictationSettings,
+  saveDictationDocument,
+  saveDictationSettings,
+  undoDictation,
+} from "./utils/dictation";
+import { describeError } from "./utils/errors";
+import { downloadTranscript } from "./utils/export";
+import { LongFormSession } from "./utils/longform";
+import { markModelUsed } from "./utils/modelCache";
+import { compileSearch, findMatches, replaceAllMatches, replaceMatch } from "./utils/search";
+import { isTextField, keyName, loadShortcuts, matchShortcut, saveShortcuts } from "./utils/shortcuts";
+import {
+  applyRulesToSegments,
+  compileRules,
+  loadReplaceRules,
+  saveReplaceRules,
+} from "./utils/replacements";
+import { LiveTranscript } from "./utils/streaming";
+import { SilenceTracker, hasSpeech } from "./utils/vad";
+import { buildPrompt, loadVocabularyLists, saveVocabularyLists } from "./utils/vocabulary";
+import {
+  DEFAULT_MODEL,
+  DEVICES,
+  IS_WEBGPU_AVAILABLE,
+  MODELS,
+  WASM_SLOWDOWN,
+  customModel,
+  estimateSpeed,
+  formatSize,
+  getModel,
+  isMultilingual,
+  largerModel,
+  resolveDevice,
+  smallerModel,
+  supportsLanguage,
+} from "./utils/models";
+import {
+  applySpeakerNames,
+  editSegmentText,
+  formatTimestamp,
+  mergeSegments,
+  segmentsToText,
+  shiftSegments,
+  speakerKey,
+  splitSegment,
+} from "./utils/segments";
 
-const IS_WEBGPU_AVAILABLE = !!navigator.gpu;
-
-const WHISPER_SAMPLING_RATE = 16_000;
-const MAX_AUDIO_LENGTH = 30; // seconds
-const MAX_SAMPLES = WHISPER_SAMPLING_RATE * MAX_AUDIO_LENGTH;
+// Live previews only run while there was speech this recently
+const PREVIEW_SPEECH_SAMPLES = WHISPER_SAMPLING_RATE * 3;
+// How often to check for new audio between live previews (ms)
+const PREVIEW_POLL_INTERVAL = 250;
+// A pause this long ends an utterance when splitting on pauses (seconds)
+const PAUSE_SPLIT_S = 1.5;
+// Only applies outside long-form mode, where the whole recording is
+// decoded and transcribed in one go on stop
 const MAX_RECORDING_TIME = 5 * 60 * 1000; // 5 minutes in milliseconds
-const WARNING_TIME = 4.5 * 60 * 1000; // 4:30 warning
+// Long-form recordings are transcribed from raw PCM, so their recorded file
+// is only kept for playback: collected in slices, and only up to a limit
+const RECORDING_SLICE_MS = 1000;
+const MAX_KEPT_RECORDING_BYTES = 200 * 1024 * 1024;
+// The open session is restored from history after a reload
+const CURRENT_SESSION_KEY = "currentSessionId";
+const EMPTY_PREVIEW = { committed: "", tentative: "" };
+// Transcript edits that can be undone, as snapshots of the segments
+const MAX_UNDO = 100;
+const EMPTY_HISTORY = { past: [], future: [] };
+const EMPTY_SEARCH = { query: "", replace: "", regex: false, matchCase: false, wholeWord: false };
+// Audio either side of a segment that is re-transcribed, so its first and
+// last words aren't clipped (s)
+const RETRANSCRIBE_PADDING_S = 0.2;
+// Hub IDs and paths of models the user added
+const CUSTOM_MODELS_KEY = "customModels";
+// "auto", "webgpu" or "wasm"
+const DEVICE_KEY = "device";
+// What to record: "microphone", "tab" or "mixed"
+const CAPTURE_SOURCE_KEY = "captureSource";
+const CAPTURE_SOURCES = {
+  microphone: "Microphone",
+  tab: "Tab or system audio",
+  mixed: "Microphone + tab",
+};
+const CAN_CAPTURE_DISPLAY = !!navigator.mediaDevices?.getDisplayMedia;
+// The chosen microphone ("" for the system default) and its processing
+const MICROPHONE_KEY = "microphone";
+const DEFAULT_MICROPHONE = {
+  deviceId: "",
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+};
+
+// Microphones by ID, leaving out Chrome's "default" and "communications"
+// aliases for other entries. Labels are empty until access is granted.
+async function listMicrophones() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(
+    ({ kind, deviceId }) =>
+      kind === "audioinput" && deviceId && deviceId !== "default" && deviceId !== "communications",
+  );
+}
+
+// Whether retrying a failed task needs the transcription model
+function usesModel({ type }) {
+  return !["microphone", "download", "format"].includes(type);
+}
 
 function App() {
   // Create a reference to the worker object.
@@ -24,25 +147,229 @@ function App() {
   const [progressItems, setProgressItems] = useState([]);
 
   // Inputs and outputs
-  const [realtimeText, setRealtimeText] = useState("");
-  const [finalTranscript, setFinalTranscript] = useState("");
+  // Live preview: committed words no longer change, tentative ones may
+  const [livePreview, setLivePreview] = useState(EMPTY_PREVIEW);
+  const [segments, setSegments] = useState([]);
+  const segmentsRef = useRef(segments);
+  const [editHistory, setEditHistory] = useState(EMPTY_HISTORY);
+  // Segments waiting to be re-transcribed, by ID
+  const [retranscribing, setRetranscribing] = useState([]);
+  // Display names for speaker keys, as renamed by the user
+  const [speakerNames, setSpeakerNames] = useState({});
+  const labeledSegments = useMemo(
+    () => applySpeakerNames(segments, speakerNames),
+    [segments, speakerNames],
+  );
+  const finalTranscript = useMemo(() => segmentsToText(labeledSegments), [labeledSegments]);
+  // Dictation mode writes recordings into a document at its cursor instead
+  // of the transcript
+  const [dictationMode, setDictationMode] = useState(false);
+  const [dictationDoc, setDictationDoc] = useState(loadDictationDocument);
+  const [dictationSettings, setDictationSettings] = useState(loadDictationSettings);
+  const [dictationCommandsOpen, setDictationCommandsOpen] = useState(false);
+  const dictationRef = useRef(null); // { commands, autoCapitalize } while on
+
+  useEffect(() => {
+    segmentsRef.current = segments;
+  }, [segments]);
+
+  useEffect(() => {
+    dictationRef.current = dictationMode
+      ? {
+          commands: compileCommands(dictationSettings.commands),
+          autoCapitalize: dictationSettings.autoCapitalize,
+        }
+      : null;
+  }, [dictationMode, dictationSettings]);
+
+  useEffect(() => {
+    saveDictationDocument(dictationDoc);
+  }, [dictationDoc]);
+
+  // Change the segments as an edit the user can undo
+  const editSegments = useCallback((edit) => {
+    const before = segmentsRef.current;
+    const after = edit(before);
+    if (after === before) return;
+    segmentsRef.current = after;
+    setSegments(after);
+    setEditHistory(({ past }) => ({ past: [...past, before].slice(-MAX_UNDO), future: [] }));
+  }, []);
+  const speakers = useMemo(() => {
+    const bySpeaker = new Map();
+    for (const { speaker, speakerLabel } of labeledSegments) {
+      if (speaker === undefined) continue;
+      const entry = bySpeaker.get(speaker) ?? { key: speaker, label: speakerLabel, count: 0 };
+      entry.count++;
+      bySpeaker.set(speaker, entry);
+    }
+    return [...bySpeaker.values()];
+  }, [labeledSegments]);
+  // English translation of the same audio, when transcribing with task "both"
+  const [translation, setTranslation] = useState([]);
+  // Labelled like the original, so a speaker has the same name in both
+  const labeledTranslation = useMemo(
+    () =>
+      applySpeakerNames(
+        translation,
+        Object.fromEntries(speakers.map(({ key, label }) => [key, label])),
+      ),
+    [translation, speakers],
+  );
+  const nextSegmentIdRef = useRef(0);
+  // Model and language the transcript was produced with, for exports
+  const [transcriptMeta, setTranscriptMeta] = useState({});
+  // Label for the recording or file the pending final transcription belongs to
+  const finalSourceRef = useRef(null);
+  // Original audio of each source in the transcript: [{ source, blob }]
+  const [audioSources, setAudioSources] = useState([]);
+
+  // Optional AI formatting pass: { step, totalSteps } while running
+  const [formatting, setFormatting] = useState(null);
+  const [formatted, setFormatted] = useState(null); // { formatted, summary }
+
+  // Playback of the original audio, in sync with the transcript
+  const [playbackSource, setPlaybackSource] = useState(null);
+  const [seekRequest, setSeekRequest] = useState(null);
+  const [playPauseRequest, setPlayPauseRequest] = useState(null);
+  const [activeSegmentId, setActiveSegmentId] = useState(null);
+  const [activeTranslationId, setActiveTranslationId] = useState(null);
+
+  // Find and replace in the transcript
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [search, setSearch] = useState(EMPTY_SEARCH);
+  const [matchIndex, setMatchIndex] = useState(0);
+  // A RegExp, an Error for a bad regex, or null without a query
+  const searchPattern = useMemo(() => (search.query ? compileSearch(search) : null), [search]);
+  const matches = useMemo(
+    () => (searchOpen && searchPattern instanceof RegExp ? findMatches(segments, searchPattern) : []),
+    [searchOpen, searchPattern, segments],
+  );
+  // Replacing can leave fewer matches than the index
+  const currentMatch = matches[Math.min(matchIndex, matches.length - 1)];
+
+  // Session history
+  const [sessionId, setSessionId] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Model cache management
+  const [modelsOpen, setModelsOpen] = useState(false);
+  const [downloads, setDownloads] = useState([]); // Hub IDs being downloaded
+  const [modelCacheVersion, setModelCacheVersion] = useState(0);
+  const [vocabularyOpen, setVocabularyOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  const [shortcuts, setShortcuts] = useState(loadShortcuts);
+  // The push-to-talk press being held, `{ started, released }`, from key
+  // down until its recording stops
+  const pushToTalkRef = useRef(null);
+  const [vocabularyLists, setVocabularyLists] = useState(loadVocabularyLists);
+  // Terms for this session only, saved with it
+  const [sessionVocabulary, setSessionVocabulary] = useState("");
+  const [replaceRules, setReplaceRules] = useState(loadReplaceRules);
+  const replaceRulesRef = useRef([]); // Compiled
+  // Deployment settings from config.json, see utils/config.js
+  const [config, setConfig] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // The session as last loaded from history, so reopening it does not save it again
+  const loadedSessionRef = useRef(null);
   const [tps, setTps] = useState(null);
   const [debouncedTps, setDebouncedTps] = useState(null);
 
   // Processing
   const [recording, setRecording] = useState(false);
+  // A live preview job is with the worker
   const [isProcessing, setIsProcessing] = useState(false);
-  const [chunks, setChunks] = useState([]);
+  // Polled while recording, to pick up new audio for the live preview
+  const [previewTick, setPreviewTick] = useState(0);
+  const liveTranscriptRef = useRef(null);
   const fullRecordingRef = useRef([]);
+  const fullRecordingBytesRef = useRef(0);
+  // Set once a long-form recording passes MAX_KEPT_RECORDING_BYTES; nothing
+  // after that is kept, or the file would have gaps
+  const [recordingCutOff, setRecordingCutOff] = useState(false);
+  const recordingCutOffRef = useRef(false);
   const [stream, setStream] = useState(null);
   const audioContextRef = useRef(null);
+  const [microphone, setMicrophone] = useState(() => ({
+    ...DEFAULT_MICROPHONE,
+    ...JSON.parse(localStorage.getItem(MICROPHONE_KEY) ?? "{}"),
+  }));
+  const [microphones, setMicrophones] = useState(null); // null until listed
+  const [inputLevel, setInputLevel] = useState(null);
+  const [captureSource, setCaptureSource] = useState(() => {
+    const saved = localStorage.getItem(CAPTURE_SOURCE_KEY);
+    return CAN_CAPTURE_DISPLAY && saved in CAPTURE_SOURCES ? saved : "microphone";
+  });
+  // What the current recording captures, which may be a tab or a mix
+  const [recordingStream, setRecordingStream] = useState(null);
   const [recordingStartTime, setRecordingStartTime] = useState(null);
   const [elapsedTime, setElapsedTime] = useState(0);
   const [allowRealtimeProcessing, setAllowRealtimeProcessing] = useState(true);
   const [processingFinalTranscript, setProcessingFinalTranscript] = useState(false);
-  const textareaRef = useRef(null);
-  const [selectedModel, setSelectedModel] = useState('base'); // Default to base model
+  const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
+  const [customModels, setCustomModels] = useState(() =>
+    JSON.parse(localStorage.getItem(CUSTOM_MODELS_KEY) ?? "[]").map(customModel),
+  );
+  const model = getModel(selectedModel, customModels);
+  const [selectedDevice, setSelectedDevice] = useState(() => localStorage.getItem(DEVICE_KEY) ?? "auto");
+  const device = resolveDevice(selectedDevice);
   const [selectedLanguage, setSelectedLanguage] = useState('en'); // Default to English
+  // "transcribe", "translate" (to English) or "both"
+  const [task, setTask] = useState("transcribe");
+  const [wordTimestamps, setWordTimestamps] = useState(false);
+  const [diarize, setDiarize] = useState(false);
+  // Voice activity detection: skip silence in final and live transcription
+  const [vad, setVad] = useState(true);
+  const [splitOnPauses, setSplitOnPauses] = useState(false);
+  const splitOnPausesRef = useRef(false);
+  const [waitingForSpeech, setWaitingForSpeech] = useState(false);
+  // Mirrors options needed inside the recorder callbacks, which are only set up once
+  const transcriptionOptionsRef = useRef({});
+
+  // Long-form mode: transcribe 30 s windows while recording, with no time limit
+  const [longForm, setLongForm] = useState(true);
+  const longFormRef = useRef(true);
+  // Keep a long-form recording's audio for playback, up to MAX_KEPT_RECORDING_BYTES
+  const [keepLongFormAudio, setKeepLongFormAudio] = useState(true);
+  const keepLongFormAudioRef = useRef(true);
+  const longFormSessionRef = useRef(null);
+  const stopCaptureRef = useRef(null);
+
+  // File transcription
+  const [inputMode, setInputMode] = useState('microphone'); // 'microphone' | 'file'
+  const [fileQueue, setFileQueue] = useState([]);
+  const [processingFiles, setProcessingFiles] = useState(false);
+  const activeFileIdRef = useRef(null);
+  const nextFileIdRef = useRef(0);
+
+  // Worker jobs. Final jobs are kept until their result arrives, with what
+  // is needed to place it in the transcript (its source, the long-form
+  // session or file it belongs to, and its offset on the source's timeline)
+  // or to retry it. Results of jobs that are no longer pending, because they
+  // were cancelled, are ignored.
+  const nextJobIdRef = useRef(0);
+  const liveJobIdRef = useRef(null);
+  const finalJobsRef = useRef(new Map());
+
+  const postJob = useCallback((data, job = {}) => {
+    const id = nextJobIdRef.current++;
+    if (data.isFinal) {
+      finalJobsRef.current.set(id, { source: finalSourceRef.current, offset: 0, ...job, data });
+    } else {
+      liveJobIdRef.current = id;
+    }
+    worker.current.postMessage({ type: "generate", id, data });
+  }, []);
+
+  // The last failure, `{ kind, message, retry }`. `retry` lists what to do
+  // again once the user picks a way out; failures that arrive while one is
+  // shown add to it.
+  const [error, setError] = useState(null);
+  // Bumped to ask for the microphone again
+  const [micRequest, setMicRequest] = useState(0);
+
+  const reportError = useCallback(({ kind, message, retry = [] }) => {
+    setError((prev) => ({ kind, message, retry: [...(prev?.retry ?? []), ...retry] }));
+  }, []);
 
   // We use the `useEffect` hook to setup the worker as soon as the `App` component is mounted.
   useEffect(() => {
@@ -67,10 +394,11 @@ function App() {
           break;
 
         case "progress":
-          // Model file progress: update one of the progress items.
+          // Model file progress: update one of the progress items. Models
+          // share file names, so match on the model too.
           setProgressItems((prev) =>
             prev.map((item) => {
-              if (item.file === e.data.file) {
+              if (item.file === e.data.file && item.name === e.data.name) {
                 return { ...item, ...e.data };
               }
               return item;
@@ -81,25 +409,30 @@ function App() {
         case "done":
           // Model file loaded: remove the progress item from the list.
           setProgressItems((prev) =>
-            prev.filter((item) => item.file !== e.data.file),
+            prev.filter((item) => item.file !== e.data.file || item.name !== e.data.name),
           );
           break;
 
-        case "ready":
-          // Pipeline ready: the worker is ready to accept messages.
-          setStatus("ready");
+        case "download-complete":
+          setDownloads((prev) => prev.filter((id) => id !== e.data.name));
+          setModelCacheVersion((v) => v + 1);
           break;
 
-        case "start":
-          {
-            // Start generation
-            setIsProcessing(true);
+        case "download-error":
+          setDownloads((prev) => prev.filter((id) => id !== e.data.name));
+          setProgressItems((prev) => prev.filter((item) => item.name !== e.data.name));
+          setModelCacheVersion((v) => v + 1);
+          reportError({
+            kind: e.data.kind,
+            message: e.data.message,
+            retry: [{ type: "download", model: e.data.name }],
+          });
+          break;
 
-            // Request new data from the recorder if we're recording
-            if (recorderRef.current && recorderRef.current.state === "recording") {
-              recorderRef.current.requestData();
-            }
-          }
+        case "ready":
+          // Pipeline ready: the worker is ready to accept messages.
+          setStatus("ready");
+          if (e.data.model) markModelUsed(e.data.model);
           break;
 
         case "update":
@@ -110,35 +443,208 @@ function App() {
           }
           break;
 
+        case "chunk":
+          // Long-form progress: one message per 30 s chunk of a file
+          {
+            const id = finalJobsRef.current.get(e.data.id)?.fileId;
+            if (id === undefined) break;
+            const { chunksDone, totalChunks } = e.data;
+            setFileQueue((prev) =>
+              prev.map((item) =>
+                item.id === id ? { ...item, chunksDone, totalChunks } : item,
+              ),
+            );
+          }
+          break;
+
+        case "format-start":
+          setFormatting({ step: 0, totalSteps: null });
+          setFormatted(null);
+          break;
+
+        case "format-update":
+          setFormatting({ step: e.data.step, totalSteps: e.data.totalSteps });
+          setFormatted({ formatted: e.data.formatted, summary: "" });
+          break;
+
+        case "format-complete":
+          setFormatting(null);
+          setFormatted({ formatted: e.data.formatted, summary: e.data.summary });
+          break;
+
+        case "format-error":
+          setFormatting(null);
+          reportError({ kind: "format", message: e.data.message, retry: [{ type: "format" }] });
+          break;
+
+        case "cancelled": {
+          const job = finalJobsRef.current.get(e.data.id);
+          finalJobsRef.current.delete(e.data.id);
+          if (job?.retranscribe !== undefined) stopRetranscribing(job.retranscribe);
+          if (e.data.id === liveJobIdRef.current) {
+            liveJobIdRef.current = null;
+            setIsProcessing(false);
+          }
+          break;
+        }
+
+        case "error":
+          if (e.data.id === undefined) {
+            // The model failed to load, so back to the welcome screen
+            setStatus(null);
+            setProgressItems([]);
+            reportError({ kind: e.data.kind, message: e.data.message, retry: [{ type: "load" }] });
+          } else if (e.data.id === liveJobIdRef.current) {
+            // A missed preview is no loss, the final transcription reports
+            // anything that keeps failing
+            console.error("Live preview failed:", e.data.message);
+            liveJobIdRef.current = null;
+            setIsProcessing(false);
+          } else {
+            const job = finalJobsRef.current.get(e.data.id);
+            if (!job) break;
+            finalJobsRef.current.delete(e.data.id);
+            failJob(job, e.data);
+          }
+          break;
+
         case "complete":
-          // Generation complete: re-enable the "Generate" button
-          setIsProcessing(false);
+          if (e.data.id === liveJobIdRef.current) {
+            liveJobIdRef.current = null;
+            setIsProcessing(false);
+          }
           if (e.data.isFinal) {
+            const job = finalJobsRef.current.get(e.data.id);
+            if (!job) break;
+            finalJobsRef.current.delete(e.data.id);
+            if (job.retranscribe !== undefined) {
+              finishRetranscribe(job, e.data.segments);
+              break;
+            }
             // This is the final transcription
             console.log("Received final transcript:", e.data.output);
-            setProcessingFinalTranscript(false); // Final processing complete
-            const cleanedOutput = e.data.output.replace(/\[BLANK_AUDIO\]/g, '').trim();
-            if (cleanedOutput) {
-              console.log("Adding to final transcript:", cleanedOutput);
-              setFinalTranscript(prev => prev + (prev ? " " : "") + cleanedOutput);
-              
-              // Focus textarea after update
-              setTimeout(() => {
-                if (textareaRef.current) {
-                  textareaRef.current.focus();
-                }
-              }, 0);
+            let finalSegments = e.data.segments;
+            let finalTranslation = e.data.translation;
+
+            if (job.session) {
+              // One window (or the tail) of a long-form recording
+              const result = job.session.handleResult(finalSegments, finalTranslation);
+              finalSegments = result.segments;
+              finalTranslation = result.translation;
+              if (result.done) endSession(job.session);
+            } else {
+              // Retried long-form windows start part way into their source
+              finalSegments = shiftSegments(finalSegments, job.offset);
+              finalTranslation = shiftSegments(finalTranslation, job.offset);
+              settleRecordings();
             }
-            setRealtimeText("");
-          } else {
-            // Real-time transcription complete, update the text
-            const cleanedOutput = e.data.output.replace(/\[BLANK_AUDIO\]/g, '').trim();
-            setRealtimeText(cleanedOutput);
+
+            if (job.fileId !== undefined) {
+              finishFile(job.fileId, { status: "done" });
+            } else if (dictationRef.current) {
+              const { commands, autoCapitalize } = dictationRef.current;
+              const dictated = applyRulesToSegments(finalSegments, replaceRulesRef.current)
+                .map((segment) => segment.text)
+                .join(" ");
+              if (dictated.trim()) {
+                setDictationDoc((prev) => applyDictation(prev, dictated, commands, { autoCapitalize }));
+              }
+              break;
+            }
+
+            const { source } = job;
+            const toTranscript = (list) =>
+              applyRulesToSegments(list, replaceRulesRef.current).map((segment) => ({
+                ...segment,
+                id: nextSegmentIdRef.current++,
+                source,
+                speaker:
+                  segment.speaker === undefined ? undefined : speakerKey(source, segment.speaker),
+              }));
+            const newSegments = toTranscript(finalSegments);
+            if (newSegments.length > 0) {
+              console.log("Adding", newSegments.length, "segments to final transcript");
+              setSegments((prev) => [...prev, ...newSegments]);
+              // Snapshots from before would drop the new segments
+              setEditHistory(EMPTY_HISTORY);
+            }
+            const newTranslation = toTranscript(finalTranslation);
+            if (newTranslation.length > 0) {
+              setTranslation((prev) => [...prev, ...newTranslation]);
+            }
+          } else if (liveTranscriptRef.current) {
+            // Real-time transcription complete, update the live preview
+            liveTranscriptRef.current.handleResult(e.data.segments);
+            setLivePreview(liveTranscriptRef.current.preview());
           }
           break;
       }
     };
 
+    // A long-form session has transcribed everything it was given
+    const endSession = (session) => {
+      if (longFormSessionRef.current === session) longFormSessionRef.current = null;
+      setProcessingFinalTranscript(false);
+    };
+
+    // Final processing of recordings is over once no job of one is left
+    const settleRecordings = () => {
+      const pending = [...finalJobsRef.current.values()].some(
+        (job) => job.fileId === undefined && !job.session,
+      );
+      if (!pending) setProcessingFinalTranscript(false);
+    };
+
+    const finishFile = (id, changes) => {
+      if (activeFileIdRef.current === id) activeFileIdRef.current = null;
+      setFileQueue((prev) =>
+        prev.map((item) => (item.id === id ? { ...item, ...changes } : item)),
+      );
+    };
+
+    const stopRetranscribing = (segmentId) => {
+      setRetranscribing((prev) => prev.filter((id) => id !== segmentId));
+    };
+
+    // Put the new take of a segment in place of its text, as an edit. The
+    // segment keeps its place, timestamps and speaker.
+    const finishRetranscribe = (job, result) => {
+      stopRetranscribing(job.retranscribe);
+      const redone = applyRulesToSegments(shiftSegments(result, job.offset), replaceRulesRef.current);
+      // Nothing heard, so keep what was there
+      if (redone.length === 0) return;
+      const { text, words, confidences } = redone.reduce(mergeSegments);
+      editSegments((prev) =>
+        prev.some(({ id }) => id === job.retranscribe)
+          ? prev.map((segment) =>
+              segment.id === job.retranscribe ? { ...segment, text, words, confidences } : segment,
+            )
+          : prev,
+      );
+    };
+
+    // Keep what's needed to retry a failed final transcription. Files can be
+    // decoded again, recordings keep their audio.
+    const failJob = (job, { kind, message }) => {
+      let retry;
+      if (job.retranscribe !== undefined) {
+        stopRetranscribing(job.retranscribe);
+        retry = { type: "job", data: job.data, source: job.source, offset: job.offset, retranscribe: job.retranscribe };
+      } else if (job.fileId !== undefined) {
+        finishFile(job.fileId, { status: "error", error: message });
+        retry = { type: "file", fileId: job.fileId };
+      } else if (job.session) {
+        // The session moves on without this window, which is retried alone
+        const { offset, done } = job.session.skip();
+        if (done) endSession(job.session);
+        retry = { type: "job", data: job.data, source: job.source, offset };
+      } else {
+        settleRecordings();
+        retry = { type: "job", data: job.data, source: job.source, offset: job.offset };
+      }
+      reportError({ kind, message, retry: [retry] });
+    };
+
     // Attach the callback function as an event listener.
     worker.current.addEventListener("message", onMessageReceived);
 
@@ -146,133 +652,160 @@ function App() {
     return () => {
       worker.current.removeEventListener("message", onMessageReceived);
     };
+  }, [reportError, editSegments]);
+
+  // Decode a finished recording and send it for final transcription
+  const transcribeRecording = useCallback(
+    async (blob, source) => {
+      setProcessingFinalTranscript(true);
+      try {
+        const decoded = await decodeAudio(audioContextRef.current, await blob.arrayBuffer());
+        const audio = decoded.getChannelData(0);
+
+        console.log("Sending final audio for processing, length:", audio.length);
+        postJob(
+          {
+            audio,
+            isFinal: true,
+            speakerSession: source,
+            ...transcriptionOptionsRef.current,
+          },
+          { source },
+        );
+      } catch (error) {
+        console.error("Error processing final audio:", error);
+        setProcessingFinalTranscript(false);
+        reportError({
+          kind: "decode",
+          message: error.message,
+          retry: [{ type: "recording", blob, source }],
+        });
+      }
+    },
+    [postJob, reportError],
+  );
+
+  const refreshMicrophones = useCallback(() => {
+    listMicrophones()
+      .then(setMicrophones)
+      .catch((error) => console.error("Error listing microphones:", error));
   }, []);
 
   useEffect(() => {
-    if (recorderRef.current) return; // Already set
+    const devices = navigator.mediaDevices;
+    if (!devices?.addEventListener) return;
+    devices.addEventListener("devicechange", refreshMicrophones);
+    return () => devices.removeEventListener("devicechange", refreshMicrophones);
+  }, [refreshMicrophones]);
+
+  // An unplugged microphone falls back to the default until it comes back
+  const micDeviceId =
+    microphones === null || microphones.some(({ deviceId }) => deviceId === microphone.deviceId)
+      ? microphone.deviceId
+      : "";
+  const { echoCancellation, noiseSuppression, autoGainControl } = microphone;
+
+  // Opens the microphone, and reopens it whenever the device or its
+  // processing changes. The settings are locked while recording, so this
+  // only interrupts a recording when its device goes away.
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
 
     if (navigator.mediaDevices.getUserMedia) {
       navigator.mediaDevices
-        .getUserMedia({ audio: true })
-        .then((stream) => {
+        .getUserMedia({
+          audio: {
+            deviceId: micDeviceId ? { exact: micDeviceId } : undefined,
+            echoCancellation,
+            noiseSuppression,
+            autoGainControl,
+          },
+        })
+        .then((opened) => {
+          if (cancelled) {
+            opened.getTracks().forEach((track) => track.stop());
+            return;
+          }
+          stream = opened;
           setStream(stream);
+          // Labels are only filled in once we have access
+          refreshMicrophones();
 
-          recorderRef.current = new MediaRecorder(stream);
-          audioContextRef.current = new AudioContext({
-            sampleRate: WHISPER_SAMPLING_RATE,
-          });
-
-          recorderRef.current.onstart = () => {
-            setRecording(true);
-            setAllowRealtimeProcessing(true);
-            setRecordingStartTime(Date.now());
-            setElapsedTime(0);
-            setChunks([]);
-            fullRecordingRef.current = [];
-            setRealtimeText("");
-            // Small delay to ensure recording has actually started
-            setTimeout(() => {
-              if (recorderRef.current && recorderRef.current.state === "recording") {
-                recorderRef.current.requestData();
-              }
-            }, 100);
-          };
-          recorderRef.current.ondataavailable = (e) => {
-            if (e.data.size > 0) {
-              setChunks((prev) => [...prev, e.data]);
-              fullRecordingRef.current = [...fullRecordingRef.current, e.data];
-            } else {
-              // Empty chunk received, so we request new data after a short timeout
-              setTimeout(() => {
-                if (recorderRef.current && recorderRef.current.state === "recording") {
-                  recorderRef.current.requestData();
-                }
-              }, 25);
-            }
-          };
-
-          recorderRef.current.onstop = () => {
-            setRecording(false);
-            setAllowRealtimeProcessing(false); // Stop real-time processing immediately
-            setRecordingStartTime(null);
-            setElapsedTime(0);
-            setRealtimeText("");
-            
-            // Process the full recording for final transcription
-            if (fullRecordingRef.current.length > 0) {
-              console.log("Processing final recording with", fullRecordingRef.current.length, "chunks");
-              setProcessingFinalTranscript(true); // Start final processing
-              const mimeType = recorderRef.current.mimeType;
-              const blob = new Blob(fullRecordingRef.current, { type: mimeType });
-              
-              const fileReader = new FileReader();
-              
-              fileReader.onloadend = async () => {
-                try {
-                  const arrayBuffer = fileReader.result;
-                  const decoded = await audioContextRef.current.decodeAudioData(arrayBuffer.slice(0));
-                  const audio = decoded.getChannelData(0);
-                  
-                  console.log("Sending final audio for processing, length:", audio.length);
-                  worker.current.postMessage({
-                    type: "generate",
-                    data: { audio, language: "en", isFinal: true },
-                  });
-                } catch (error) {
-                  console.error("Error processing final audio:", error);
-                  setProcessingFinalTranscript(false); // Reset on error
-                }
-              };
-              fileReader.readAsArrayBuffer(blob);
-            } else {
-              console.log("No recording chunks to process for final transcript");
-            }
-          };
+          // Unplugging the default device ends the track without changing
+          // the choice, so open whatever the default is now
+          stream.getAudioTracks()[0].onended = () => setMicRequest((n) => n + 1);
         })
-        .catch((err) => console.error("The following error occurred: ", err));
+        .catch((err) => {
+          if (cancelled) return;
+          // The saved device is gone; listing the devices falls back to
+          // the default
+          if (err.name === "OverconstrainedError" && micDeviceId) {
+            refreshMicrophones();
+            return;
+          }
+          console.error("The following error occurred: ", err);
+          reportError({
+            kind: "permission",
+            message: err.message,
+            retry: [{ type: "microphone" }],
+          });
+        });
     } else {
       console.error("getUserMedia not supported on your browser!");
     }
 
     return () => {
-      recorderRef.current?.stop();
-      recorderRef.current = null;
+      cancelled = true;
+      // A mix carries on with the tab alone
+      if (stream && recorderRef.current?.stream === stream && recorderRef.current.state === "recording") {
+        recorderRef.current.stop();
+      }
+      if (stream) {
+        stream.getTracks().forEach((track) => {
+          track.onended = null;
+          track.stop();
+        });
+        setStream(null);
+      }
     };
-  }, []);
+  }, [
+    reportError,
+    refreshMicrophones,
+    micRequest,
+    micDeviceId,
+    echoCancellation,
+    noiseSuppression,
+    autoGainControl,
+  ]);
 
   useEffect(() => {
-    if (!recorderRef.current) return;
     if (!recording) return;
     if (!allowRealtimeProcessing) return; // Don't process if real-time processing is disabled
     if (isProcessing) return;
     if (status !== "ready") return;
 
-    if (chunks.length > 0) {
-      // Generate from data
-      const blob = new Blob(chunks, { type: recorderRef.current.mimeType });
-
-      const fileReader = new FileReader();
-
-      fileReader.onloadend = async () => {
-        const arrayBuffer = fileReader.result;
-        const decoded =
-          await audioContextRef.current.decodeAudioData(arrayBuffer);
-        let audio = decoded.getChannelData(0);
-        if (audio.length > MAX_SAMPLES) {
-          // Get last MAX_SAMPLES
-          audio = audio.slice(-MAX_SAMPLES);
-        }
+    const live = liveTranscriptRef.current;
+    const audio = live?.next();
+    if (!audio) {
+      // Check again shortly for new audio
+      const timer = setTimeout(() => setPreviewTick((tick) => tick + 1), PREVIEW_POLL_INTERVAL);
+      return () => clearTimeout(timer);
+    }
 
-        worker.current.postMessage({
-          type: "generate",
-          data: { audio, language: "en", isFinal: false },
-        });
-      };
-      fileReader.readAsArrayBuffer(blob);
-    } else {
-      recorderRef.current?.requestData();
+    // The preview can't change while nobody is speaking, so save the GPU
+    // and settle what was said last
+    if (transcriptionOptionsRef.current.vad && !hasSpeech(audio.subarray(-PREVIEW_SPEECH_SAMPLES))) {
+      live.flush();
+      setLivePreview(live.preview());
+      setWaitingForSpeech(true);
+      setPreviewTick((tick) => tick + 1);
+      return;
     }
-  }, [status, recording, isProcessing, chunks, allowRealtimeProcessing]);
+    setWaitingForSpeech(false);
+    setIsProcessing(true);
+    postJob({ audio, ...transcriptionOptionsRef.current, isFinal: false });
+  }, [status, recording, isProcessing, previewTick, allowRealtimeProcessing, postJob]);
 
   // Debounce TPS updates to prevent flickering
   useEffect(() => {
@@ -291,8 +824,8 @@ function App() {
         const elapsed = Date.now() - recordingStartTime;
         setElapsedTime(Math.floor(elapsed / 1000));
         
-        // Auto-stop at 5 minutes
-        if (elapsed >= MAX_RECORDING_TIME) {
+        // Auto-stop at 5 minutes, unless transcribing as we go
+        if (!longForm && elapsed >= MAX_RECORDING_TIME) {
           console.log('Auto-stopping recording: 5-minute limit reached');
           recorderRef.current?.stop();
           alert('Recording stopped automatically after 5 minutes (maximum limit)');
@@ -302,68 +835,959 @@ function App() {
     return () => {
       if (interval) clearInterval(interval);
     };
-  }, [recording, recordingStartTime]);
+  }, [recording, recordingStartTime, longForm]);
+
+  // Work through the file queue one file at a time. The worker reports back
+  // with a final "complete" message, which clears the active file and
+  // re-triggers this effect for the next one.
+  useEffect(() => {
+    if (!processingFiles) return;
+    if (status !== "ready") return;
+    if (activeFileIdRef.current !== null) return;
+
+    const next = fileQueue.find((item) => item.status === "queued");
+    if (!next) {
+      setProcessingFiles(false);
+      return;
+    }
+
+    const updateFile = (changes) =>
+      setFileQueue((prev) =>
+        prev.map((item) => (item.id === next.id ? { ...item, ...changes } : item)),
+      );
+
+    activeFileIdRef.current = next.id;
+    finalSourceRef.current = next.file.name;
+    updateFile({ status: "decoding" });
+    // Retried files already have theirs
+    setAudioSources((prev) =>
+      prev.some(({ blob }) => blob === next.file)
+        ? prev
+        : [...prev, { source: next.file.name, blob: next.file }],
+    );
+
+    decodeAudioFile(next.file, WHISPER_SAMPLING_RATE)
+      .then((audio) => {
+        // Cancelled while decoding
+        if (activeFileIdRef.current !== next.id) return;
+        console.log("Sending file audio for processing:", next.file.name, "length:", audio.length);
+        updateFile({ status: "transcribing" });
+        postJob(
+          {
+            audio,
+            isFinal: true,
+            speakerSession: next.file.name,
+            ...transcriptionOptionsRef.current,
+          },
+          { source: next.file.name, fileId: next.id },
+        );
+      })
+      .catch((error) => {
+        console.error("Error decoding file:", error);
+        if (activeFileIdRef.current !== next.id) return;
+        activeFileIdRef.current = null;
+        updateFile({ status: "error", error: "Could not decode audio from this file" });
+        reportError({
+          kind: "decode",
+          message: `${next.file.name}: ${error.message}`,
+          retry: [{ type: "file", fileId: next.id }],
+        });
+      });
+  }, [processingFiles, status, fileQueue, postJob, reportError]);
+
+  useEffect(() => {
+    transcriptionOptionsRef.current = {
+      language: selectedLanguage,
+      task,
+      wordTimestamps,
+      diarize,
+      vad,
+      prompt: buildPrompt(vocabularyLists, sessionVocabulary),
+    };
+  }, [selectedLanguage, task, wordTimestamps, diarize, vad, vocabularyLists, sessionVocabulary]);
+
+  useEffect(() => {
+    replaceRulesRef.current = compileRules(replaceRules);
+  }, [replaceRules]);
+
+  useEffect(() => {
+    splitOnPausesRef.current = splitOnPauses;
+  }, [splitOnPauses]);
+
+  useEffect(() => {
+    longFormRef.current = longForm;
+  }, [longForm]);
+
+  useEffect(() => {
+    keepLongFormAudioRef.current = keepLongFormAudio;
+  }, [keepLongFormAudio]);
+
+  useEffect(() => {
+    loadConfig().then(setConfig);
+  }, []);
+
+  // Save the transcript to history whenever it changes, once it has content
+  useEffect(() => {
+    if (segments.length === 0) return;
+    const loaded = loadedSessionRef.current;
+    if (
+      loaded?.segments === segments &&
+      loaded.audio === audioSources &&
+      loaded.meta === transcriptMeta &&
+      loaded.formatted === formatted &&
+      loaded.speakerNames === speakerNames &&
+      loaded.translation === translation &&
+      loaded.vocabulary === sessionVocabulary
+    ) {
+      return;
+    }
+
+    let id = sessionId;
+    if (!id) {
+      id = crypto.randomUUID();
+      setSessionId(id);
+      localStorage.setItem(CURRENT_SESSION_KEY, id);
+    }
+
+    const timer = setTimeout(() => {
+      saveSession(id, {
+        ...transcriptMeta,
+        segments,
+        translation,
+        speakerNames,
+        text: finalTranscript,
+        audio: audioSources,
+        formatted,
+        vocabulary: sessionVocabulary,
+      })
+        .then(() => setHistoryVersion((v) => v + 1))
+        .catch((error) => console.error("Error saving session:", error));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [
+    segments,
+    translation,
+    speakerNames,
+    finalTranscript,
+    audioSources,
+    transcriptMeta,
+    formatted,
+    sessionVocabulary,
+    sessionId,
+  ]);
+
+  const selectModel = (key) => {
+    setSelectedModel(key);
+    // English-only models can't transcribe or translate anything else
+    const next = getModel(key, customModels);
+    if (!supportsLanguage(next, selectedLanguage)) {
+      setSelectedLanguage(next.languages[0]);
+    }
+    if (!isMultilingual(next)) {
+      setTask("transcribe");
+    }
+  };
+
+  const selectCaptureSource = (value) => {
+    setCaptureSource(value);
+    localStorage.setItem(CAPTURE_SOURCE_KEY, value);
+  };
+
+  const selectMicrophone = (next) => {
+    setMicrophone(next);
+    localStorage.setItem(MICROPHONE_KEY, JSON.stringify(next));
+  };
+
+  const selectDevice = (value) => {
+    setSelectedDevice(value);
+    localStorage.setItem(DEVICE_KEY, value);
+  };
+
+  const addCustomModel = (id) => {
+    const added = customModel(id);
+    if (!customModels.some((m) => m.key === added.key)) {
+      const next = [...customModels, added];
+      setCustomModels(next);
+      localStorage.setItem(CUSTOM_MODELS_KEY, JSON.stringify(next.map((m) => m.id)));
+    }
+    selectModel(added.key);
+  };
+
+  // Send model selection to worker; the language goes with each request
+  const sendSettings = () => {
+    worker.current.postMessage({ 
+      type: "setModel", 
+      data: { model, device: selectedDevice } 
+    });
+    setTranscriptMeta({ model: model.id, language: selectedLanguage });
+  };
+
+  // A recorder for one recording of `stream`, feeding the live preview and
+  // the final transcription. `release` frees the capture once it stops.
+  const createRecorder = (stream, release) => {
+    const recorder = new MediaRecorder(stream);
+    recorderRef.current = recorder;
+
+    recorder.onstart = () => {
+      setRecording(true);
+      setAllowRealtimeProcessing(true);
+      setRecordingStartTime(Date.now());
+      setElapsedTime(0);
+      fullRecordingRef.current = [];
+      fullRecordingBytesRef.current = 0;
+      recordingCutOffRef.current = false;
+      setRecordingCutOff(false);
+      setLivePreview(EMPTY_PREVIEW);
+
+      // Raw PCM feeds the live preview, and the long-form windows
+      const live = new LiveTranscript();
+      liveTranscriptRef.current = live;
+      let session = null;
+
+      if (longFormRef.current) {
+        finalSourceRef.current = `Recording ${new Date().toLocaleTimeString()}`;
+        session = new LongFormSession((audio) => {
+          console.log("Sending long-form audio for processing, length:", audio.length);
+          postJob(
+            {
+              audio,
+              isFinal: true,
+              speakerSession: finalSourceRef.current,
+              ...transcriptionOptionsRef.current,
+            },
+            { session },
+          );
+        });
+        longFormSessionRef.current = session;
+      }
+
+      // Splitting on pauses sends each utterance as soon as it ends,
+      // instead of waiting for a full window
+      const silence = new SilenceTracker();
+      let spokeSinceSplit = false;
+      const onSamples = (samples) => {
+        live.push(samples);
+        if (!session) return;
+        session.push(samples);
+        if (silence.push(samples)) {
+          spokeSinceSplit = true;
+        } else if (
+          spokeSinceSplit &&
+          splitOnPausesRef.current &&
+          silence.silentFor >= PAUSE_SPLIT_S
+        ) {
+          spokeSinceSplit = false;
+          session.split();
+        }
+      };
+      startPcmCapture(audioContextRef.current, stream, onSamples)
+        .then((stopCapture) => {
+          // The recording may have been stopped while the worklet loaded
+          if (liveTranscriptRef.current !== live) {
+            stopCapture();
+          } else {
+            stopCaptureRef.current = stopCapture;
+            if (session && !keepLongFormAudioRef.current) fullRecordingRef.current = [];
+          }
+        })
+        .catch((error) => {
+          // Without PCM there is no live preview and there are no windows,
+          // so the recorded file is transcribed on stop, as outside
+          // long-form mode
+          console.error("Error starting audio capture:", error);
+          if (session && longFormSessionRef.current === session) {
+            longFormSessionRef.current = null;
+          }
+          reportError({ kind: "preview", message: error.message });
+        });
+    };
+    // The recorded file is only needed for playback and, outside
+    // long-form mode, the final transcription, so it arrives on stop.
+    // Long-form recordings arrive in slices, which stop being kept at the
+    // limit; what was kept still plays from the start.
+    recorder.ondataavailable = (e) => {
+      if (e.data.size === 0) return;
+      // Once PCM capture is running, a long-form recording's file is only
+      // kept for playback, and only up to the limit
+      if (longFormSessionRef.current && stopCaptureRef.current) {
+        if (!keepLongFormAudioRef.current || recordingCutOffRef.current) return;
+        if (fullRecordingBytesRef.current + e.data.size > MAX_KEPT_RECORDING_BYTES) {
+          recordingCutOffRef.current = true;
+          setRecordingCutOff(true);
+          return;
+        }
+      }
+      fullRecordingBytesRef.current += e.data.size;
+      fullRecordingRef.current.push(e.data);
+    };
+
+    recorder.onstop = () => {
+      release();
+      setRecordingStream(null);
+      setRecording(false);
+      setAllowRealtimeProcessing(false); // Stop real-time processing immediately
+      setWaitingForSpeech(false);
+      setRecordingStartTime(null);
+      setElapsedTime(0);
+      setLivePreview(EMPTY_PREVIEW);
+      liveTranscriptRef.current = null;
+      stopCaptureRef.current?.();
+      stopCaptureRef.current = null;
+
+      const session = longFormSessionRef.current;
+      if (!session) {
+        finalSourceRef.current = `Recording ${new Date().toLocaleTimeString()}`;
+      }
+      // Dictation keeps only the text
+      if (fullRecordingRef.current.length > 0 && !dictationRef.current) {
+        const source = finalSourceRef.current;
+        const blob = new Blob(fullRecordingRef.current, {
+          type: fullRecordingRef.current[0].type,
+        });
+        setAudioSources((prev) => [...prev, { source, blob }]);
+      }
+
+      // In long-form mode most of the audio is already transcribed,
+      // only the tail since the last window is left
+      if (session) {
+        if (session.stop()) {
+          setProcessingFinalTranscript(true);
+        } else {
+          longFormSessionRef.current = null;
+        }
+        return;
+      }
+      
+      // Process the full recording for final transcription
+      if (fullRecordingRef.current.length > 0) {
+        console.log("Processing final recording with", fullRecordingRef.current.length, "chunks");
+        const mimeType = recorder.mimeType;
+        const blob = new Blob(fullRecordingRef.current, { type: mimeType });
+        transcribeRecording(blob, finalSourceRef.current);
+      } else {
+        console.log("No recording chunks to process for final transcript");
+      }
+    };
+    return recorder;
+  };
+
+  // The stream to record from the chosen source, and a function that
+  // releases it, or null if the user backed out of sharing
+  const openCapture = async (audioContext) => {
+    const micMissing = () => Object.assign(new Error("The microphone is not open"), { name: "NotFoundError" });
+    if (captureSource === "microphone") {
+      if (!stream) throw micMissing();
+      return { stream, release: () => {} };
+    }
+
+    let display;
+    try {
+      display = await captureDisplayAudio();
+    } catch (err) {
+      // Closing the picker is not a failure
+      if (err.name === "NotAllowedError") return null;
+      throw err;
+    }
+    const stopDisplay = () => display.getTracks().forEach((track) => track.stop());
+    // The recorder only stops by itself when every track it records has
+    // ended, which a mix never does
+    display.getAudioTracks()[0].onended = () => {
+      if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+    };
+
+    if (captureSource === "tab") {
+      return { stream: new MediaStream(display.getAudioTracks()), release: stopDisplay };
+    }
+    if (!stream) {
+      stopDisplay();
+      throw micMissing();
+    }
+    const mix = mixStreams(audioContext, [stream, display]);
+    return {
+      stream: mix.stream,
+      release: () => {
+        mix.stop();
+        stopDisplay();
+      },
+    };
+  };
 
   const toggleRecording = async () => {
     if (recording) {
       recorderRef.current?.stop();
     } else {
-      // Send model and language selection to worker
-      worker.current.postMessage({ 
-        type: "setModel", 
-        data: { model: selectedModel } 
-      });
-      worker.current.postMessage({ 
-        type: "setLanguage", 
-        data: { language: selectedLanguage } 
-      });
-      
+      if (recorderRef.current?.state === "recording") return;
+      sendSettings();
+
+      // One context for the app's lifetime, as recordings are still
+      // decoded with it after their stream is gone
+      const audioContext = (audioContextRef.current ??= new AudioContext({
+        sampleRate: WHISPER_SAMPLING_RATE,
+      }));
+
+      let capture;
+      try {
+        capture = await openCapture(audioContext);
+      } catch (err) {
+        console.error("Error opening the capture source:", err);
+        const { kind, message } = describeError(err);
+        reportError(
+          kind === "permission"
+            ? { kind, message, retry: [{ type: "microphone" }] }
+            : { kind: "capture", message },
+        );
+        return;
+      }
+      if (!capture) return;
+
       // Ensure audio context is resumed (required by browsers)
-      if (audioContextRef.current && audioContextRef.current.state === "suspended") {
-        await audioContextRef.current.resume();
+      if (audioContext.state === "suspended") {
+        await audioContext.resume();
       }
-      
-      // Ensure recorder is in the right state before starting
-      if (recorderRef.current && recorderRef.current.state === "inactive") {
-        recorderRef.current.start();
-      } else if (recorderRef.current) {
-        console.log("Recorder state:", recorderRef.current.state);
+
+      setRecordingStream(capture.stream);
+      createRecorder(capture.stream, capture.release).start(longFormRef.current ? RECORDING_SLICE_MS : undefined);
+    }
+  };
+
+  const addFiles = (files) => {
+    setFileQueue((prev) => [
+      ...prev,
+      ...files.map((file) => ({
+        id: nextFileIdRef.current++,
+        file,
+        status: "queued",
+      })),
+    ]);
+  };
+
+  const removeFile = (id) => {
+    setFileQueue((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  const transcribeFiles = () => {
+    sendSettings();
+    setProcessingFiles(true);
+  };
+
+  // Stop every final transcription, queued or running. The live preview is
+  // left alone.
+  const cancelTranscription = () => {
+    for (const id of finalJobsRef.current.keys()) {
+      worker.current.postMessage({ type: "cancel", id });
+    }
+    finalJobsRef.current.clear();
+
+    longFormSessionRef.current = null;
+    setProcessingFinalTranscript(false);
+
+    if (activeFileIdRef.current !== null) {
+      const id = activeFileIdRef.current;
+      activeFileIdRef.current = null;
+      setFileQueue((prev) =>
+        prev.map((item) => (item.id === id ? { ...item, status: "cancelled" } : item)),
+      );
+    }
+    setProcessingFiles(false);
+  };
+
+  // Do again what failed, on the given model and device. The worker reloads
+  // a model it dropped after running out of memory.
+  const retryAfterError = (nextModel = model, nextDevice = selectedDevice) => {
+    const { retry } = error;
+    setError(null);
+
+    if (!retry.some(usesModel)) {
+      // Nothing to load
+    } else if (status !== "ready" || retry.some(({ type }) => type === "load")) {
+      worker.current.postMessage({ type: "load", data: { model: nextModel, device: nextDevice } });
+      setStatus("loading");
+    } else {
+      worker.current.postMessage({ type: "setModel", data: { model: nextModel, device: nextDevice } });
+    }
+
+    for (const task of retry) {
+      switch (task.type) {
+        case "job":
+          if (task.retranscribe !== undefined) {
+            setRetranscribing((prev) => [...prev, task.retranscribe]);
+          } else if (!recording) {
+            // Windows of a long-form recording can fail mid-recording
+            setProcessingFinalTranscript(true);
+          }
+          postJob(task.data, { source: task.source, offset: task.offset, retranscribe: task.retranscribe });
+          break;
+        case "recording":
+          transcribeRecording(task.blob, task.source);
+          break;
+        case "file":
+          setFileQueue((prev) =>
+            prev.map((item) =>
+              item.id === task.fileId ? { ...item, status: "queued", error: undefined } : item,
+            ),
+          );
+          setProcessingFiles(true);
+          break;
+        case "microphone":
+          setMicRequest((n) => n + 1);
+          break;
+        case "format":
+          formatTranscript();
+          break;
+        case "download": {
+          const target = [...MODELS, ...customModels].find(({ id }) => id === task.model);
+          if (target) downloadModel(target);
+          break;
+        }
       }
     }
   };
 
+  // A smaller model or the CPU can help when the model is the problem, but
+  // not with bad audio or a missing microphone
+  const modelMayBeAtFault =
+    ["memory", "download", "unknown"].includes(error?.kind) && error.retry.some(usesModel);
+  const fallbackModel = modelMayBeAtFault ? smallerModel(model, selectedLanguage) : null;
+  const canRetryOnWasm = modelMayBeAtFault && device === "webgpu" && error.kind !== "download";
+
+  const retryOnSmallerModel = () => {
+    selectModel(fallbackModel.key);
+    retryAfterError(fallbackModel);
+  };
+
+  const retryOnWasm = () => {
+    selectDevice("wasm");
+    retryAfterError(model, "wasm");
+  };
+
+  const downloadModel = (target) => {
+    setDownloads((prev) => [...prev, target.id]);
+    worker.current.postMessage({ type: "download", data: { model: target, device: selectedDevice } });
+  };
+
+  const formatTranscript = () => {
+    worker.current.postMessage({ type: "format", data: { text: finalTranscript } });
+  };
+
+  const renameSpeaker = (key, name) => {
+    setSpeakerNames((prev) => ({ ...prev, [key]: name }));
+  };
+
+  const mergeSpeaker = (from, into) => {
+    if (!into) return;
+    const merge = (prev) =>
+      prev.map((segment) => (segment.speaker === from ? { ...segment, speaker: into } : segment));
+    setSegments(merge);
+    setTranslation(merge);
+    // Undoing past this would split the speakers up again, but only in the
+    // transcript
+    setEditHistory(EMPTY_HISTORY);
+  };
+
+  const undoEdit = () => {
+    const { past, future } = editHistory;
+    if (past.length === 0) return;
+    setEditHistory({ past: past.slice(0, -1), future: [segments, ...future] });
+    setSegments(past[past.length - 1]);
+  };
+
+  const redoEdit = () => {
+    const { past, future } = editHistory;
+    if (future.length === 0) return;
+    setEditHistory({ past: [...past, segments], future: future.slice(1) });
+    setSegments(future[0]);
+  };
+
+  const editSegment = (id, text) => {
+    editSegments((prev) =>
+      prev.map((segment) => (segment.id === id ? editSegmentText(segment, text) : segment)),
+    );
+  };
+
+  // `text` may hold an unsaved edit, which goes along with the split
+  const splitSegmentAt = (id, text, index) => {
+    editSegments((prev) => {
+      const i = prev.findIndex((segment) => segment.id === id);
+      if (i === -1) return prev;
+      const edited = text === prev[i].text ? prev[i] : editSegmentText(prev[i], text);
+      const halves = splitSegment(edited, index);
+      if (!halves) return edited === prev[i] ? prev : prev.with(i, edited);
+      const [first, second] = halves;
+      return [...prev.slice(0, i), first, { ...second, id: nextSegmentIdRef.current++ }, ...prev.slice(i + 1)];
+    });
+  };
+
+  const mergeWithNext = (id, text) => {
+    editSegments((prev) => {
+      const i = prev.findIndex((segment) => segment.id === id);
+      if (i === -1 || i === prev.length - 1) return prev;
+      const edited = text === prev[i].text ? prev[i] : editSegmentText(prev[i], text);
+      return [...prev.slice(0, i), mergeSegments(edited, prev[i + 1]), ...prev.slice(i + 2)];
+    });
+  };
+
+  const retranscribeModel = largerModel(model, selectedLanguage);
+
+  // Send just the audio of a segment back to the worker, optionally to a
+  // larger model, and put the result in place of its text
+  const retranscribeSegment = async (segment, withLargerModel) => {
+    const audio = audioSources.find(({ source }) => source === segment.source);
+    if (!audio) return;
+    setRetranscribing((prev) => [...prev, segment.id]);
+    try {
+      const samples = await decodeAudioFile(audio.blob, WHISPER_SAMPLING_RATE);
+      const offset = Math.max(0, segment.start - RETRANSCRIBE_PADDING_S);
+      const end = segment.end + RETRANSCRIBE_PADDING_S;
+      postJob(
+        {
+          ...transcriptionOptionsRef.current,
+          audio: samples.slice(Math.floor(offset * WHISPER_SAMPLING_RATE), Math.ceil(end * WHISPER_SAMPLING_RATE)),
+          isFinal: true,
+          wordTimestamps: !!segment.words,
+          // The speakers and the silence are known already
+          diarize: false,
+          vad: false,
+          model: withLargerModel ? retranscribeModel : undefined,
+        },
+        { source: segment.source, offset, retranscribe: segment.id },
+      );
+    } catch (error) {
+      console.error("Error decoding audio to re-transcribe:", error);
+      setRetranscribing((prev) => prev.filter((id) => id !== segment.id));
+      reportError({ kind: "decode", message: `${segment.source}: ${error.message}` });
+    }
+  };
+
   const copyTranscript = () => {
     if (finalTranscript) {
       navigator.clipboard.writeText(finalTranscript);
     }
   };
 
+  const exportTranscript = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTranscript(format, labeledSegments, {
+      ...transcriptMeta,
+      filename: `transcript-${date}`,
+    });
+  };
+
+  const exportTranslation = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTranscript(format, labeledTranslation, {
+      ...transcriptMeta,
+      language: "en",
+      filename: `translation-${date}`,
+    });
+  };
+
+  // Default to the most recently added audio
+  const currentPlaybackSource = audioSources.some((s) => s.source === playbackSource)
+    ? playbackSource
+    : audioSources.at(-1)?.source;
+
+  const handlePlaybackTime = (time) => {
+    const findActive = (list) =>
+      list.find(
+        (segment) =>
+          segment.source === currentPlaybackSource &&
+          segment.start <= time &&
+          time < segment.end,
+      );
+    setActiveSegmentId(findActive(segments)?.id ?? null);
+    setActiveTranslationId(findActive(translation)?.id ?? null);
+  };
+
+  const seekTo = (source, time) => {
+    if (!audioSources.some((s) => s.source === source)) return;
+    setPlaybackSource(source);
+    // A new object each time, so clicking the same line seeks again
+    setSeekRequest({ time });
+  };
+
+  const seekToSegment = (segment) => seekTo(segment.source, segment.start);
+
+  const changeSearch = (next) => {
+    setSearch(next);
+    setMatchIndex(0);
+  };
+
+  const closeSearch = () => {
+    setSearchOpen(false);
+    setMatchIndex(0);
+  };
+
+  // Step through the matches, wrapping around, and play from each
+  const goToMatch = (step) => {
+    if (matches.length === 0) return;
+    const index = (Math.min(matchIndex, matches.length - 1) + step + matches.length) % matches.length;
+    setMatchIndex(index);
+    seekTo(matches[index].source, matches[index].time);
+  };
+
+  // The next match takes the replaced one's place, so the index stays
+  const replaceCurrentMatch = () => {
+    if (!currentMatch) return;
+    editSegments((prev) => replaceMatch(prev, currentMatch, searchPattern, search));
+  };
+
+  const replaceAll = () => {
+    if (matches.length === 0) return;
+    editSegments((prev) => replaceAllMatches(prev, searchPattern, search));
+  };
+
+  // `found` is a match from searching history, `{ query, match }`, to show
+  // and play from once the session is open
+  const openSession = useCallback((session, found) => {
+    const audio = session.audio ?? [];
+    const meta = { model: session.model, language: session.language };
+    const sessionFormatted = session.formatted ?? null;
+    const sessionSpeakerNames = session.speakerNames ?? {};
+    const sessionTranslation = session.translation ?? [];
+    const vocabulary = session.vocabulary ?? "";
+    loadedSessionRef.current = {
+      segments: session.segments,
+      translation: sessionTranslation,
+      audio,
+      meta,
+      formatted: sessionFormatted,
+      speakerNames: sessionSpeakerNames,
+      vocabulary,
+    };
+    setSegments(session.segments);
+    setEditHistory(EMPTY_HISTORY);
+    setSessionVocabulary(vocabulary);
+    setTranslation(sessionTranslation);
+    setSpeakerNames(sessionSpeakerNames);
+    setAudioSources(audio);
+    setTranscriptMeta(meta);
+    setFormatted(sessionFormatted);
+    setSessionId(session.id);
+    localStorage.setItem(CURRENT_SESSION_KEY, session.id);
+    nextSegmentIdRef.current =
+      Math.max(-1, ...[...session.segments, ...sessionTranslation].map((s) => s.id)) + 1;
+    setHistoryOpen(false);
+
+    if (found) {
+      const { query, match } = found;
+      const nextSearch = { ...EMPTY_SEARCH, query };
+      const sessionMatches = findMatches(session.segments, compileSearch(nextSearch));
+      setSearch(nextSearch);
+      setSearchOpen(true);
+      setMatchIndex(
+        Math.max(
+          0,
+          sessionMatches.findIndex(({ segmentId, start }) => segmentId === match.segmentId && start === match.start),
+        ),
+      );
+      // The audio isn't in state yet, but the player seeks once it loads
+      if (audio.some((s) => s.source === match.source)) {
+        setPlaybackSource(match.source);
+        setSeekRequest({ time: match.time });
+      }
+    }
+  }, []);
+
+  // Reopen the session that was open before the page was reloaded
+  useEffect(() => {
+    const id = localStorage.getItem(CURRENT_SESSION_KEY);
+    if (!id) return;
+    getSession(id)
+      .then((session) => session && openSession(session))
+      .catch((error) => console.error("Error restoring session:", error));
+  }, [openSession]);
+
+  const handleSessionDeleted = (id) => {
+    if (id === sessionId) clearTranscript();
+  };
+
+  // The cleared transcript stays in history, this only starts a new session
   const clearTranscript = () => {
-    setFinalTranscript("");
+    setSegments([]);
+    setEditHistory(EMPTY_HISTORY);
+    setTranslation([]);
+    setSpeakerNames({});
+    setAudioSources([]);
+    setFormatted(null);
+    setSessionVocabulary("");
+    setSessionId(null);
+    localStorage.removeItem(CURRENT_SESSION_KEY);
+  };
+
+  // Record while the push-to-talk key is held. The key can come up before
+  // the recording has started, in which case it stops as soon as it does.
+  const startPushToTalk = async () => {
+    if (pushToTalkRef.current || recording || processingFinalTranscript || status !== "ready") return;
+    const press = { started: false, released: false };
+    pushToTalkRef.current = press;
+    await toggleRecording();
+    press.started = true;
+    const recorder = recorderRef.current;
+    if (recorder?.state !== "recording") {
+      pushToTalkRef.current = null;
+    } else if (press.released) {
+      pushToTalkRef.current = null;
+      recorder.stop();
+    }
+  };
+
+  // Stopping finalizes the recording, which is added to the transcript
+  const stopPushToTalk = () => {
+    const press = pushToTalkRef.current;
+    if (!press) return;
+    press.released = true;
+    // Still starting, or already stopped some other way
+    if (!press.started) return;
+    pushToTalkRef.current = null;
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+  };
+
+  const runShortcut = (action) => {
+    switch (action) {
+      case "record":
+        if (status === "ready" && !processingFinalTranscript && !pushToTalkRef.current) toggleRecording();
+        break;
+      case "pushToTalk":
+        startPushToTalk();
+        break;
+      case "playPause":
+        // A new object each time, like seek requests
+        if (audioSources.length > 0 && !recording) setPlayPauseRequest({});
+        break;
+      case "dictation":
+        setDictationMode((prev) => !prev);
+        break;
+      case "copy":
+        if (dictationMode) copyDictation();
+        else copyTranscript();
+        break;
+      case "export":
+        if (finalTranscript && !busy) exportTranscript(shortcuts.exportFormat);
+        break;
+      case "clear":
+        if (dictationMode) clearDictation();
+        else if (finalTranscript) clearTranscript();
+        break;
+      case "find":
+        if (!dictationMode) setSearchOpen(true);
+        break;
+      case "undo":
+        if (dictationMode) setDictationDoc(undoDictation);
+        else if (!busy) undoEdit();
+        break;
+      case "redo":
+        if (!busy && !dictationMode) redoEdit();
+        break;
+    }
+  };
+
+  // Re-subscribed every render, so the handlers see the current state
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (isTextField(e.target) && !e.altKey) return;
+      const action = matchShortcut(shortcuts.keys, e);
+      if (!action) return;
+      e.preventDefault();
+      // Holding a key repeats it, which only matters to push to talk
+      if (!e.repeat) runShortcut(action);
+    };
+    const onKeyUp = (e) => {
+      // The modifiers may come up first, so only the key counts
+      if (shortcuts.keys.pushToTalk?.split("+").at(-1) === keyName(e)) stopPushToTalk();
+    };
+    // Key ups are missed once the tab loses the focus
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", stopPushToTalk);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", stopPushToTalk);
+    };
+  });
+
+  const copyDictation = () => {
+    if (dictationDoc.text) navigator.clipboard.writeText(dictationDoc.text);
+  };
+
+  // Undoable, like dictated changes
+  const clearDictation = () => {
+    setDictationDoc((prev) =>
+      prev.text
+        ? { text: "", start: 0, end: 0, history: [...prev.history, { text: prev.text, start: prev.start, end: prev.end }] }
+        : prev,
+    );
+  };
+
+  const updateDictationSettings = (next) => {
+    setDictationSettings(next);
+    saveDictationSettings(next);
+  };
+
+  const updateShortcuts = (next) => {
+    setShortcuts(next);
+    saveShortcuts(next);
   };
 
-  const formatElapsedTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  const updateVocabularyLists = (next) => {
+    setVocabularyLists(next);
+    saveVocabularyLists(next);
   };
 
-  return IS_WEBGPU_AVAILABLE ? (
+  const updateReplaceRules = (next) => {
+    setReplaceRules(next);
+    saveReplaceRules(next);
+  };
+
+  const busy = recording || processingFinalTranscript || processingFiles;
+  const queuedFiles = fileQueue.filter((item) => item.status === "queued").length;
+
+  return (
     <div className="min-h-screen bg-[#0f1419] text-[#e7e9ea] flex flex-col">
       <div className="max-w-7xl mx-auto w-full px-5 py-5 flex flex-col min-h-screen">
         {/* Header */}
         <div className="flex justify-between items-center mb-6 pb-5 border-b border-[#2f3336]">
-          <h1 className="text-2xl font-semibold text-white">Transcribe Locally</h1>
+          <div className="flex items-center gap-4">
+            <button
+              className="px-3 py-2 bg-white/5 rounded-lg text-sm hover:bg-white/10 transition-colors"
+              onClick={() => setHistoryOpen(true)}
+              title="Saved sessions"
+            >
+              ☰ History
+            </button>
+            <button
+              className="px-3 py-2 bg-white/5 rounded-lg text-sm hover:bg-white/10 transition-colors"
+              onClick={() => setModelsOpen(true)}
+              title="Downloaded models"
+            >
+              ⬇ Models
+            </button>
+            <button
+              className="px-3 py-2 bg-white/5 rounded-lg text-sm hover:bg-white/10 transition-colors"
+              onClick={() => setVocabularyOpen(true)}
+              title="Names and terms to spell right, and find/replace rules"
+            >
+              📖 Vocabulary
+            </button>
+            <button
+              className="px-3 py-2 bg-white/5 rounded-lg text-sm hover:bg-white/10 transition-colors"
+              onClick={() => setShortcutsOpen(true)}
+              title="Keyboard shortcuts and push to talk"
+            >
+              ⌨️ Shortcuts
+            </button>
+            <h1 className="text-2xl font-semibold text-white">Transcribe Locally</h1>
+          </div>
           <div className="flex items-center gap-2 px-4 py-2 bg-white/5 rounded-full text-sm">
             <div className={`w-2 h-2 rounded-full transition-all duration-300 ${
-              processingFinalTranscript ? "bg-[#efa847] animate-pulse" :
+              processingFinalTranscript || processingFiles ? "bg-[#efa847] animate-pulse" :
               recording ? "bg-[#B11000] animate-pulse" :
               status === "ready" ? "bg-[#479faf]" : 
               status === "loading" || status === null ? "bg-[#efa847]" :
               "bg-[#71767b]"
             }`}></div>
             <span>
-              {processingFinalTranscript ? "Processing" :
+              {processingFinalTranscript || processingFiles ? "Processing" :
                recording ? "Recording" :
                status === "ready" ? "Ready" : 
                status === "loading" ? "Loading" : 
@@ -372,19 +1796,43 @@ function App() {
           </div>
         </div>
 
+        {error && (
+          <ErrorBanner
+            error={error}
+            onRetry={() => retryAfterError()}
+            onSmallerModel={fallbackModel ? retryOnSmallerModel : undefined}
+            smallerModelLabel={fallbackModel?.label}
+            onUseWasm={canRetryOnWasm ? retryOnWasm : undefined}
+            onDismiss={() => setError(null)}
+          />
+        )}
+
         {status === null && (
           <div className="flex-1 flex items-center justify-center">
             <div className="text-center">
               <h2 className="text-2xl font-semibold mb-4 text-white">OpenAI Whisper</h2>
               <p className="mb-6 text-[#71767b] max-w-md">
-                Running locally in your browser with WebGPU.
+                {IS_WEBGPU_AVAILABLE
+                  ? `Running locally in your browser with ${DEVICES[device]}.`
+                  : `WebGPU isn't available here, so this runs on the CPU, about ${WASM_SLOWDOWN}× slower.`}
                 <br />
-                Click below to load the model (~500 MB).
+                {model.size
+                  ? `Click below to load the model (~${formatSize(model.size)}).`
+                  : "Click below to load the model."}
               </p>
+              <div className="flex justify-center mb-6">
+                <ModelSelect
+                  value={selectedModel}
+                  onChange={selectModel}
+                  customModels={customModels}
+                  onAddCustom={addCustomModel}
+                  device={device}
+                />
+              </div>
               <button
                 className="px-8 py-4 bg-[#479faf] text-white rounded-full font-medium hover:bg-[#3a8a98] transition-all duration-200 hover:-translate-y-0.5"
                 onClick={() => {
-                  worker.current.postMessage({ type: "load" });
+                  worker.current.postMessage({ type: "load", data: { model, device: selectedDevice } });
                   setStatus("loading");
                 }}
               >
@@ -414,115 +1862,412 @@ function App() {
           <>
             {/* Controls */}
             <div className="flex gap-4 mb-6 items-center">
+              {/* Input Mode */}
+              <div className="flex p-1 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm">
+                {[
+                  ["microphone", "Microphone"],
+                  ["file", "Files"],
+                ].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    className={`px-3 py-1 rounded-md transition-colors disabled:cursor-not-allowed ${
+                      inputMode === mode ? "bg-[#479faf] text-white" : "text-[#71767b] hover:text-[#e7e9ea]"
+                    }`}
+                    onClick={() => setInputMode(mode)}
+                    disabled={busy}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
               {/* Model Selection */}
+              <ModelSelect
+                value={selectedModel}
+                onChange={selectModel}
+                customModels={customModels}
+                onAddCustom={addCustomModel}
+                device={device}
+                disabled={busy}
+              />
+
+              {/* Device Selection */}
               <div className="flex items-center gap-2">
-                <label htmlFor="model-select" className="text-sm text-[#71767b]">
-                  Model:
+                <label htmlFor="device-select" className="text-sm text-[#71767b]">
+                  Device:
                 </label>
                 <select
-                  id="model-select"
-                  value={selectedModel}
-                  onChange={(e) => setSelectedModel(e.target.value)}
-                  disabled={recording || processingFinalTranscript}
+                  id="device-select"
+                  value={selectedDevice}
+                  onChange={(e) => selectDevice(e.target.value)}
+                  disabled={busy}
                   className="px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  <option value="base">Whisper Base</option>
-                  <option value="medium">Whisper Medium</option>
+                  {Object.entries(DEVICES).map(([value, label]) => (
+                    <option key={value} value={value} disabled={value === "webgpu" && !IS_WEBGPU_AVAILABLE}>
+                      {value === "auto" ? `${label} (${DEVICES[device]})` : label}
+                    </option>
+                  ))}
                 </select>
+                <span
+                  className="text-xs text-[#71767b]"
+                  title={
+                    device === "wasm"
+                      ? `Estimate. The CPU is about ${WASM_SLOWDOWN}× slower than WebGPU.`
+                      : "Estimate for a typical GPU"
+                  }
+                >
+                  ~{estimateSpeed(model, device).toFixed(1)}× real time
+                </span>
               </div>
               
               {/* Language Selection */}
+              <LanguageSelect
+                value={selectedLanguage}
+                onChange={setSelectedLanguage}
+                model={model}
+                disabled={busy}
+              />
+
+              {/* Task Selection */}
               <div className="flex items-center gap-2">
-                <label htmlFor="language-select" className="text-sm text-[#71767b]">
-                  Language:
+                <label htmlFor="task-select" className="text-sm text-[#71767b]">
+                  Task:
                 </label>
                 <select
-                  id="language-select"
-                  value={selectedLanguage}
-                  onChange={(e) => setSelectedLanguage(e.target.value)}
-                  disabled={recording || processingFinalTranscript}
+                  id="task-select"
+                  value={task}
+                  onChange={(e) => setTask(e.target.value)}
+                  disabled={busy || !isMultilingual(model)}
+                  title={isMultilingual(model) ? undefined : "English-only models can't translate"}
                   className="px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  <option value="en">English</option>
-                  <option value="mi">Te Reo Māori</option>
+                  <option value="transcribe">Transcribe</option>
+                  <option value="translate">Translate to English</option>
+                  <option value="both">Both, side by side</option>
                 </select>
               </div>
-              <button
-                className={`flex items-center gap-2 px-8 py-3 rounded-full font-medium transition-all duration-200 hover:-translate-y-0.5 ${
-                  processingFinalTranscript
-                    ? "bg-[#71767b] text-white cursor-not-allowed"
-                    : recording 
-                      ? "bg-[#efa847] text-white hover:bg-[#d8933a]" 
-                      : "bg-[#479faf] text-white hover:bg-[#3a8a98]"
-                }`}
-                onClick={toggleRecording}
-                disabled={processingFinalTranscript}
+
+              {/* Word-level timestamps */}
+              <label className="flex items-center gap-2 text-sm text-[#71767b]">
+                <input
+                  type="checkbox"
+                  checked={wordTimestamps}
+                  onChange={(e) => setWordTimestamps(e.target.checked)}
+                  disabled={busy}
+                  className="accent-[#479faf]"
+                />
+                Word timestamps
+              </label>
+
+              {/* Speaker diarization */}
+              <label
+                className="flex items-center gap-2 text-sm text-[#71767b]"
+                title="Label who is speaking with a local speaker model"
               >
-                {processingFinalTranscript ? (
-                  <>
-                    <span className="text-xl">⏳</span>
-                    Processing...
-                  </>
-                ) : recording ? (
-                  <>
-                    <span className="text-xl">■</span>
-                    Stop Recording
-                  </>
-                ) : (
-                  <>
-                    <span className="text-xl">▶</span>
-                    Start Recording
-                  </>
-                )}
-              </button>
+                <input
+                  type="checkbox"
+                  checked={diarize}
+                  onChange={(e) => setDiarize(e.target.checked)}
+                  disabled={busy}
+                  className="accent-[#479faf]"
+                />
+                Speakers
+              </label>
+
+              {/* Long-form recording */}
+              <label
+                className="flex items-center gap-2 text-sm text-[#71767b]"
+                title="Transcribe in 30 second windows while recording, with no time limit"
+              >
+                <input
+                  type="checkbox"
+                  checked={longForm}
+                  onChange={(e) => setLongForm(e.target.checked)}
+                  disabled={busy}
+                  className="accent-[#479faf]"
+                />
+                Long-form
+              </label>
+              <label
+                className="flex items-center gap-2 text-sm text-[#71767b]"
+                title="In long-form mode, keep the recording to play back, up to 200 MB. Without it, memory use stays flat however long you record."
+              >
+                <input
+                  type="checkbox"
+                  checked={keepLongFormAudio || !longForm}
+                  onChange={(e) => setKeepLongFormAudio(e.target.checked)}
+                  disabled={busy || !longForm}
+                  className="accent-[#479faf]"
+                />
+                Keep audio
+              </label>
+
+              {/* Voice activity detection */}
+              <label
+                className="flex items-center gap-2 text-sm text-[#71767b]"
+                title="Cut silence out before transcribing, and pause the live preview while nobody is speaking"
+              >
+                <input
+                  type="checkbox"
+                  checked={vad}
+                  onChange={(e) => setVad(e.target.checked)}
+                  disabled={busy}
+                  className="accent-[#479faf]"
+                />
+                Skip silence
+              </label>
+              <label
+                className="flex items-center gap-2 text-sm text-[#71767b]"
+                title="In long-form mode, transcribe each utterance as soon as the speaker pauses"
+              >
+                <input
+                  type="checkbox"
+                  checked={splitOnPauses && longForm}
+                  onChange={(e) => setSplitOnPauses(e.target.checked)}
+                  disabled={busy || !longForm}
+                  className="accent-[#479faf]"
+                />
+                Split on pauses
+              </label>
+              {inputMode === "file" ? (
+                <button
+                  className={`flex items-center gap-2 px-8 py-3 rounded-full font-medium transition-all duration-200 hover:-translate-y-0.5 ${
+                    processingFiles || queuedFiles === 0
+                      ? "bg-[#71767b] text-white cursor-not-allowed"
+                      : "bg-[#479faf] text-white hover:bg-[#3a8a98]"
+                  }`}
+                  onClick={transcribeFiles}
+                  disabled={processingFiles || queuedFiles === 0}
+                >
+                  {processingFiles ? (
+                    <>
+                      <span className="text-xl">⏳</span>
+                      Processing...
+                    </>
+                  ) : (
+                    <>
+                      <span className="text-xl">▶</span>
+                      Transcribe {queuedFiles === 1 ? "1 File" : `${queuedFiles} Files`}
+                    </>
+                  )}
+                </button>
+              ) : (
+                <button
+                  className={`flex items-center gap-2 px-8 py-3 rounded-full font-medium transition-all duration-200 hover:-translate-y-0.5 ${
+                    processingFinalTranscript
+                      ? "bg-[#71767b] text-white cursor-not-allowed"
+                      : recording 
+                        ? "bg-[#efa847] text-white hover:bg-[#d8933a]" 
+                        : "bg-[#479faf] text-white hover:bg-[#3a8a98]"
+                  }`}
+                  onClick={toggleRecording}
+                  disabled={processingFinalTranscript}
+                >
+                  {processingFinalTranscript ? (
+                    <>
+                      <span className="text-xl">⏳</span>
+                      Processing...
+                    </>
+                  ) : recording ? (
+                    <>
+                      <span className="text-xl">■</span>
+                      Stop Recording
+                    </>
+                  ) : (
+                    <>
+                      <span className="text-xl">▶</span>
+                      Start Recording
+                    </>
+                  )}
+                </button>
+              )}
+              {(processingFiles || processingFinalTranscript) && (
+                <button
+                  className="px-4 py-3 bg-white/10 border border-white/20 rounded-full text-sm hover:bg-white/15 transition-colors"
+                  onClick={cancelTranscription}
+                >
+                  Cancel
+                </button>
+              )}
               {recording && (
                 <div className={`px-4 py-2 rounded-full text-sm font-mono transition-colors ${
+                  longForm ? 'bg-white/5' :
                   elapsedTime >= 270 ? 'bg-red-500/20 text-red-300' : // 4:30+
                   elapsedTime >= 240 ? 'bg-yellow-500/20 text-yellow-300' : // 4:00+
                   'bg-white/5'
                 }`}>
-                  {formatElapsedTime(elapsedTime)}
-                  {elapsedTime >= 270 && <span className="ml-1 animate-pulse">⚠️</span>}
+                  {formatTimestamp(elapsedTime)}
+                  {!longForm && elapsedTime >= 270 && <span className="ml-1 animate-pulse">⚠️</span>}
                 </div>
               )}
+              {recordingCutOff && (
+                <span className="text-sm text-[#efa847]">
+                  Only the first 200 MB of this recording&apos;s audio is kept
+                </span>
+              )}
             </div>
 
+            {/* Playback */}
+            {audioSources.length > 0 && !recording && (
+              <PlaybackPanel
+                sources={audioSources}
+                source={currentPlaybackSource}
+                onSourceChange={setPlaybackSource}
+                seekRequest={seekRequest}
+                playPauseRequest={playPauseRequest}
+                onTimeUpdate={handlePlaybackTime}
+              />
+            )}
+
             {/* Main Content */}
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 flex-1">
-              {/* Left Panel - Live Transcript (1/3) */}
+              {/* Left Panel - Live Transcript or File Queue (1/3) */}
               <div className="lg:col-span-1 bg-[#16181c] border border-[#2f3336] rounded-2xl p-6 flex flex-col h-[500px]">
-                <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
-                  <div>
-                    <h2 className="text-lg font-semibold">Live Preview</h2>
-                    <p className="text-sm text-[#71767b]">Real-time sampling</p>
-                  </div>
-                </div>
+                {inputMode === "file" ? (
+                  <>
+                    <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
+                      <div>
+                        <h2 className="text-lg font-semibold">Files</h2>
+                        <p className="text-sm text-[#71767b]">Audio and video, transcribed in order</p>
+                      </div>
+                    </div>
+                    <FileUpload
+                      queue={fileQueue}
+                      onAddFiles={addFiles}
+                      onRemoveFile={removeFile}
+                      disabled={recording || processingFinalTranscript}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
+                      <div>
+                        <h2 className="text-lg font-semibold">Live Preview</h2>
+                        <p className="text-sm text-[#71767b]">Real-time sampling</p>
+                      </div>
+                      <select
+                        value={captureSource}
+                        onChange={(e) => selectCaptureSource(e.target.value)}
+                        disabled={recording}
+                        title={
+                          CAN_CAPTURE_DISPLAY
+                            ? "Tab audio records the other side of a call or webinar. Share a tab with its audio ticked."
+                            : "This browser can't share tab audio"
+                        }
+                        className="px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {Object.entries(CAPTURE_SOURCES).map(([value, label]) => (
+                          <option key={value} value={value} disabled={value !== "microphone" && !CAN_CAPTURE_DISPLAY}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
 
-                {/* Waveform */}
-                <div className="h-16 bg-black/30 rounded-xl flex items-center justify-center overflow-hidden mb-4">
-                  <AudioVisualizer className="w-full h-full" stream={stream} />
-                </div>
-                
-                <div className="flex-1 bg-black/30 rounded-xl p-4 overflow-y-auto overflow-x-hidden scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
-                  <p className="leading-relaxed text-sm break-words whitespace-pre-wrap">
-                    {realtimeText || (recording ? "Listening..." : <span className="text-[#71767b]">Click Start Recording to begin transcribing...</span>)}
-                  </p>
-                  {recording && (
-                    <div className="mt-3 pt-3 border-t border-white/10 text-xs text-[#71767b] transition-all duration-300">
-                      {debouncedTps && `${debouncedTps.toFixed(1)} tokens/sec`}
+                    {captureSource !== "tab" && (
+                      <MicrophoneSettings
+                        devices={microphones}
+                        settings={microphone}
+                        activeDeviceId={micDeviceId}
+                        onChange={selectMicrophone}
+                        disabled={recording}
+                      />
+                    )}
+
+                    {/* Waveform */}
+                    <div className="h-16 bg-black/30 rounded-xl flex items-center justify-center overflow-hidden mb-2">
+                      <AudioVisualizer
+                        className="w-full h-full"
+                        stream={recordingStream ?? (captureSource === "tab" ? null : stream)}
+                        onLevel={setInputLevel}
+                      />
                     </div>
-                  )}
-                </div>
+                    <LevelMeter level={inputLevel} />
+
+                    <div className="flex-1 bg-black/30 rounded-xl p-4 overflow-y-auto overflow-x-hidden scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+                      <p className="leading-relaxed text-sm break-words whitespace-pre-wrap">
+                        {livePreview.committed || livePreview.tentative ? (
+                          <>
+                            {livePreview.committed}{" "}
+                            <span className="text-[#71767b]">{livePreview.tentative}</span>
+                          </>
+                        ) : recording ? (
+                          "Listening..."
+                        ) : (
+                          <span className="text-[#71767b]">Click Start Recording to begin transcribing...</span>
+                        )}
+                      </p>
+                      {recording && (
+                        <div className="mt-3 pt-3 border-t border-white/10 text-xs text-[#71767b] transition-all duration-300">
+                          {waitingForSpeech
+                            ? "Paused until someone speaks"
+                            : debouncedTps && `${debouncedTps.toFixed(1)} tokens/sec`}
+                        </div>
+                      )}
+                    </div>
+                  </>
+                )}
               </div>
 
               {/* Right Panel - Complete Transcript (2/3) */}
-              <div className="lg:col-span-2 bg-[#16181c] border border-[#2f3336] rounded-2xl p-6 flex flex-col h-[500px]">
+              {dictationMode && (
+                <DictationPad
+                  doc={dictationDoc}
+                  onChange={setDictationDoc}
+                  onUndo={() => setDictationDoc(undoDictation)}
+                  onClear={clearDictation}
+                  onCopy={copyDictation}
+                  onOpenCommands={() => setDictationCommandsOpen(true)}
+                  onExit={() => setDictationMode(false)}
+                  undoShortcut={shortcuts.keys.undo}
+                />
+              )}
+              <div
+                className={`lg:col-span-2 bg-[#16181c] border border-[#2f3336] rounded-2xl p-6 flex flex-col h-[500px] ${
+                  dictationMode ? "hidden" : ""
+                }`}
+              >
                 <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
                   <div>
                     <h2 className="text-lg font-semibold">Complete Transcript</h2>
                     <p className="text-sm text-[#71767b]">Processed from recorded audio</p>
                   </div>
                   <div className="flex gap-2">
+                    <button
+                      className="px-3 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors"
+                      onClick={() => setDictationMode(true)}
+                      title="Dictation: write a document at the cursor, with spoken punctuation and commands"
+                    >
+                      ✍️
+                    </button>
+                    <button
+                      className={`px-3 py-2 border rounded-lg text-sm font-medium transition-colors ${
+                        searchOpen
+                          ? "bg-[#479faf]/20 text-[#479faf] border-[#479faf]/40"
+                          : "bg-white/10 text-[#e7e9ea] border-white/20 hover:bg-white/15"
+                      }`}
+                      onClick={() => (searchOpen ? closeSearch() : setSearchOpen(true))}
+                      title="Find and replace in the transcript"
+                    >
+                      🔍
+                    </button>
+                    <button
+                      className="px-3 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors disabled:opacity-50"
+                      onClick={undoEdit}
+                      disabled={busy || editHistory.past.length === 0}
+                      title={shortcuts.keys.undo ? `Undo edit (${shortcuts.keys.undo})` : "Undo edit"}
+                    >
+                      ↶
+                    </button>
+                    <button
+                      className="px-3 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors disabled:opacity-50"
+                      onClick={redoEdit}
+                      disabled={busy || editHistory.future.length === 0}
+                      title={shortcuts.keys.redo ? `Redo edit (${shortcuts.keys.redo})` : "Redo edit"}
+                    >
+                      ↷
+                    </button>
                     <button
                       className="px-4 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors"
                       onClick={clearTranscript}
@@ -537,45 +2282,152 @@ function App() {
                     >
                       Copy Text
                     </button>
+                    <button
+                      className="px-4 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors"
+                      onClick={formatTranscript}
+                      disabled={!finalTranscript || busy || formatting !== null}
+                      title="Add punctuation, paragraphs, a summary and action items with a local text model"
+                    >
+                      {formatting ? "Formatting..." : "AI Format"}
+                    </button>
+                    <ExportMenu
+                      onExport={exportTranscript}
+                      disabled={segments.length === 0 || busy}
+                    />
                   </div>
                 </div>
                 
-                <div className="flex-1 bg-black/30 rounded-xl p-4 overflow-hidden">
-                  <textarea
-                    ref={textareaRef}
-                    className={`w-full h-full bg-transparent border-none outline-none resize-none leading-relaxed text-[#e7e9ea] placeholder-[#71767b] transition-opacity duration-200 scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15 ${
-                      recording || processingFinalTranscript 
-                        ? 'opacity-50 cursor-not-allowed' 
-                        : 'cursor-text'
-                    }`}
-                    value={finalTranscript}
-                    onChange={(e) => setFinalTranscript(e.target.value)}
-                    disabled={recording || processingFinalTranscript}
-                    placeholder="Your complete transcripts will appear here after you stop recording. Maximum recording time: 5 minutes."
-                    style={{ fontFamily: 'inherit' }}
+                {speakers.length > 0 && (
+                  <SpeakerList
+                    speakers={speakers}
+                    onRename={renameSpeaker}
+                    onMerge={mergeSpeaker}
+                    disabled={busy}
                   />
+                )}
+                {searchOpen && (
+                  <TranscriptSearch
+                    search={search}
+                    onSearchChange={changeSearch}
+                    matchCount={matches.length}
+                    currentIndex={Math.min(matchIndex, matches.length - 1)}
+                    error={searchPattern instanceof Error ? searchPattern : null}
+                    onPrevious={() => goToMatch(-1)}
+                    onNext={() => goToMatch(1)}
+                    onReplace={busy ? undefined : replaceCurrentMatch}
+                    onReplaceAll={busy ? undefined : replaceAll}
+                    onClose={closeSearch}
+                  />
+                )}
+                <div className="flex-1 flex gap-4 min-h-0">
+                  <div className="flex-1 bg-black/30 rounded-xl p-4 overflow-hidden">
+                    <TranscriptView
+                      segments={labeledSegments}
+                      dimmed={busy}
+                      activeSegmentId={activeSegmentId}
+                      onSegmentClick={busy || audioSources.length === 0 ? undefined : seekToSegment}
+                      onEditSegment={busy ? undefined : editSegment}
+                      onSplitSegment={busy ? undefined : splitSegmentAt}
+                      onMergeSegment={busy ? undefined : mergeWithNext}
+                      onRetranscribe={
+                        busy || status !== "ready" || audioSources.length === 0 ? undefined : retranscribeSegment
+                      }
+                      largerModelLabel={retranscribeModel?.label}
+                      retranscribing={retranscribing}
+                      matches={matches}
+                      currentMatch={currentMatch}
+                      placeholder={
+                        longForm
+                          ? "Your complete transcript will build up here while you record, or after you transcribe files."
+                          : "Your complete transcripts will appear here after you stop recording or transcribe files. Maximum recording time: 5 minutes."
+                      }
+                    />
+                  </div>
+                  {translation.length > 0 && (
+                    <div className="flex-1 flex flex-col bg-black/30 rounded-xl p-4 overflow-hidden">
+                      <div className="flex justify-between items-center mb-2">
+                        <h3 className="text-sm font-semibold text-[#71767b]">English translation</h3>
+                        <ExportMenu onExport={exportTranslation} disabled={busy} />
+                      </div>
+                      <div className="flex-1 min-h-0">
+                        <TranscriptView
+                          segments={labeledTranslation}
+                          dimmed={busy}
+                          activeSegmentId={activeTranslationId}
+                          onSegmentClick={busy || audioSources.length === 0 ? undefined : seekToSegment}
+                        />
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
+
+            {/* AI formatting */}
+            {(formatting || formatted) && (
+              <FormattedTranscript
+                formatting={formatting}
+                formatted={formatted}
+                progressItems={progressItems}
+              />
+            )}
           </>
         )}
         
+        <HistorySidebar
+          open={historyOpen}
+          onClose={() => setHistoryOpen(false)}
+          currentSessionId={sessionId}
+          refreshKey={historyVersion}
+          onOpenSession={openSession}
+          onDeleteSession={handleSessionDeleted}
+          disabled={busy}
+        />
+
+        <ModelManager
+          open={modelsOpen}
+          onClose={() => setModelsOpen(false)}
+          models={[...MODELS, ...customModels]}
+          currentModelId={model.id}
+          progressItems={progressItems}
+          downloads={downloads}
+          // Downloads come from the Hub, which a self-hosted setup may block
+          onDownload={config?.allowRemoteModels ? downloadModel : undefined}
+          localModelPath={config?.localModelPath}
+          refreshKey={modelCacheVersion}
+        />
+
+        <VocabularyPanel
+          open={vocabularyOpen}
+          onClose={() => setVocabularyOpen(false)}
+          sessionTerms={sessionVocabulary}
+          onSessionTermsChange={setSessionVocabulary}
+          lists={vocabularyLists}
+          onListsChange={updateVocabularyLists}
+          rules={replaceRules}
+          onRulesChange={updateReplaceRules}
+        />
+
+        <DictationCommands
+          open={dictationCommandsOpen}
+          onClose={() => setDictationCommandsOpen(false)}
+          settings={dictationSettings}
+          onChange={updateDictationSettings}
+        />
+
+        <ShortcutsPanel
+          open={shortcutsOpen}
+          onClose={() => setShortcutsOpen(false)}
+          shortcuts={shortcuts}
+          onChange={updateShortcuts}
+        />
+
         {/* Version display */}
         <div className="fixed bottom-4 right-4 text-xs text-[#71767b] bg-black/30 px-2 py-1 rounded">
           v{packageJson.version}
         </div>
       </div>
     </div>
-  ) : (
-    <div className="h-screen bg-[#0f1419] flex items-center justify-center text-white text-2xl font-semibold text-center">
-      WebGPU is not supported
-      <br />
-      by this browser :(
-      {/* Version display for unsupported browsers too */}
-      <div className="fixed bottom-4 right-4 text-xs text-[#71767b] bg-black/30 px-2 py-1 rounded">
-        v{packageJson.version}
-      </div>
-    </div>
   );
 }
 
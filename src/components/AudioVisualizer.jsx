@@ -1,7 +1,15 @@
 import { useRef, useCallback, useEffect } from "react";
 
-export function AudioVisualizer({ stream, ...props }) {
+import { InputLevel } from "../utils/audio";
+
+// How often the input level is reported, so the meter doesn't re-render
+// every frame
+const LEVEL_INTERVAL_MS = 100;
+
+export function AudioVisualizer({ stream, onLevel, ...props }) {
   const canvasRef = useRef(null);
+  const onLevelRef = useRef(onLevel);
+  onLevelRef.current = onLevel;
 
   const visualize = useCallback((stream) => {
     const audioContext = new (window.AudioContext ||
@@ -13,24 +21,34 @@ export function AudioVisualizer({ stream, ...props }) {
 
     const canvas = canvasRef.current;
     const canvasCtx = canvas.getContext("2d");
-    const bufferLength = analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
+    const bufferLength = analyser.fftSize;
+    const dataArray = new Float32Array(bufferLength);
+    const level = new InputLevel();
+    let reportedAt = 0;
+    let frame;
 
     const drawVisual = () => {
-      requestAnimationFrame(drawVisual);
-      analyser.getByteTimeDomainData(dataArray);
+      frame = requestAnimationFrame(drawVisual);
+      analyser.getFloatTimeDomainData(dataArray);
+
+      const now = performance.now();
+      const measured = level.push(dataArray, now);
+      if (now - reportedAt >= LEVEL_INTERVAL_MS) {
+        reportedAt = now;
+        onLevelRef.current?.(measured);
+      }
 
       canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
 
       canvasCtx.lineWidth = 2;
-      canvasCtx.strokeStyle = "rgb(71, 159, 175)";
+      canvasCtx.strokeStyle = measured.clipping ? "rgb(244, 33, 46)" : "rgb(71, 159, 175)";
       canvasCtx.beginPath();
 
       const sliceWidth = (canvas.width * 1.0) / bufferLength;
 
       let x = 0;
       for (let i = 0; i < bufferLength; ++i) {
-        const v = dataArray[i] / 128.0;
+        const v = dataArray[i] + 1;
         const y = (v * canvas.height) / 2;
 
         if (i === 0) {
@@ -47,10 +65,18 @@ export function AudioVisualizer({ stream, ...props }) {
     };
 
     drawVisual();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      source.disconnect();
+      audioContext.close();
+      canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
+      onLevelRef.current?.(null);
+    };
   }, []);
 
   useEffect(() => {
-    stream && visualize(stream);
+    if (stream) return visualize(stream);
   }, [visualize, stream]);
   return <canvas {...props} width={720} height={240} ref={canvasRef}></canvas>;
 }
@@ -0,0 +1,102 @@
+import { COMMAND_ACTIONS, defaultCommands, newCommand } from "../utils/dictation";
+
+const inputClassName =
+  "w-full px-2 py-1.5 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf]";
+const buttonClassName = "px-2 py-1 bg-white/10 rounded text-xs hover:bg-white/15";
+
+// New lines are edited as "\n", so they show in a one-line field
+const showText = (text) => text.replaceAll("\n", "\\n");
+const readText = (text) => text.replaceAll("\\n", "\n");
+
+/**
+ * The spoken commands dictation understands, and whether it capitalizes.
+ */
+export default function DictationCommands({ open, onClose, settings, onChange }) {
+  if (!open) return null;
+
+  const { commands } = settings;
+  const updateCommands = (next) => onChange({ ...settings, commands: next });
+  const updateCommand = (id, changes) =>
+    updateCommands(commands.map((command) => (command.id === id ? { ...command, ...changes } : command)));
+
+  return (
+    <div className="fixed inset-0 z-20 flex" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-[#16181c] border-r border-[#2f3336] p-5 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Dictation commands</h2>
+          <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          <label className="flex items-center gap-2 mb-4 text-sm">
+            <input
+              type="checkbox"
+              checked={settings.autoCapitalize}
+              onChange={(e) => onChange({ ...settings, autoCapitalize: e.target.checked })}
+              className="accent-[#479faf]"
+            />
+            Capitalize sentences, and lower-case text that continues one
+          </label>
+
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold">Commands</h3>
+            <div className="flex gap-2">
+              <button className={buttonClassName} onClick={() => updateCommands(defaultCommands())}>
+                Reset
+              </button>
+              <button className={buttonClassName} onClick={() => updateCommands([...commands, newCommand()])}>
+                + Add command
+              </button>
+            </div>
+          </div>
+          <p className="text-xs text-[#71767b] mb-2">
+            Said as words of their own, whatever the case or punctuation Whisper gives them. Write a
+            new line as \n.
+          </p>
+          {commands.map((command) => (
+            <div key={command.id} className="flex items-center gap-2 mb-2">
+              <input
+                className={inputClassName}
+                value={command.phrase}
+                onChange={(e) => updateCommand(command.id, { phrase: e.target.value })}
+                placeholder="Phrase"
+              />
+              <select
+                className={inputClassName}
+                value={command.action}
+                onChange={(e) => updateCommand(command.id, { action: e.target.value })}
+              >
+                {Object.entries(COMMAND_ACTIONS).map(([action, label]) => (
+                  <option key={action} value={action}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <div className={`w-20 shrink-0 ${command.action === "insert" ? "" : "invisible"}`}>
+                <input
+                  className={`${inputClassName} font-mono`}
+                  value={showText(command.text)}
+                  onChange={(e) => updateCommand(command.id, { text: readText(e.target.value) })}
+                  placeholder="Text"
+                />
+              </div>
+              <button
+                className="text-[#71767b] hover:text-red-300"
+                onClick={() => updateCommands(commands.filter(({ id }) => id !== command.id))}
+                title="Delete command"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/50" />
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useEffect, useRef } from "react";
+
+const buttonClassName =
+  "px-4 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors disabled:opacity-50";
+
+/**
+ * The document dictation writes into, at its cursor. Typing works as in any
+ * text field, but starts a new "undo that" history, as typing has its own
+ * undo.
+ */
+export default function DictationPad({
+  doc,
+  onChange,
+  onUndo,
+  onClear,
+  onCopy,
+  onOpenCommands,
+  onExit,
+  undoShortcut,
+}) {
+  const textareaRef = useRef(null);
+
+  // Put the cursor where dictation left it
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (textarea.selectionStart !== doc.start || textarea.selectionEnd !== doc.end) {
+      textarea.setSelectionRange(doc.start, doc.end);
+    }
+  }, [doc]);
+
+  const select = (e) => {
+    const { selectionStart, selectionEnd } = e.target;
+    if (selectionStart !== doc.start || selectionEnd !== doc.end) {
+      onChange({ ...doc, start: selectionStart, end: selectionEnd });
+    }
+  };
+
+  return (
+    <div className="lg:col-span-2 bg-[#16181c] border border-[#2f3336] rounded-2xl p-6 flex flex-col h-[500px]">
+      <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
+        <div>
+          <h2 className="text-lg font-semibold">Dictation</h2>
+          <p className="text-sm text-[#71767b]">What you say goes in at the cursor</p>
+        </div>
+        <div className="flex gap-2">
+          <button className={buttonClassName} onClick={onOpenCommands} title="Spoken commands and capitalization">
+            Commands
+          </button>
+          <button
+            className={buttonClassName}
+            onClick={onUndo}
+            disabled={doc.history.length === 0}
+            title={undoShortcut ? `Undo the last dictated change (${undoShortcut})` : "Undo the last dictated change"}
+          >
+            ↶
+          </button>
+          <button className={buttonClassName} onClick={onClear} disabled={!doc.text} title="Clear the document; undo brings it back">
+            Clear
+          </button>
+          <button className={buttonClassName} onClick={onCopy} disabled={!doc.text}>
+            Copy Text
+          </button>
+          <button className={buttonClassName} onClick={onExit} title="Back to the timed transcript">
+            Transcript
+          </button>
+        </div>
+      </div>
+      <textarea
+        ref={textareaRef}
+        className="flex-1 min-h-0 w-full p-4 bg-black/30 border border-[#2f3336] rounded-xl text-[#e7e9ea] leading-relaxed resize-none focus:outline-none focus:border-[#479faf] scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10"
+        value={doc.text}
+        onChange={(e) =>
+          onChange({ text: e.target.value, start: e.target.selectionStart, end: e.target.selectionEnd, history: [] })
+        }
+        onSelect={select}
+        placeholder='Record and speak. Say "comma", "new paragraph" or "delete last sentence" to punctuate and edit.'
+      />
+    </div>
+  );
+}
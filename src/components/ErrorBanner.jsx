@@ -0,0 +1,59 @@
+import { ERROR_KINDS } from "../utils/errors";
+
+// Retries that carry audio, rather than reloading a model or the microphone
+const AUDIO_RETRIES = ["job", "file", "recording"];
+
+const buttonClassName =
+  "px-3 py-1.5 bg-white/10 border border-white/20 rounded-lg text-sm hover:bg-white/15 transition-colors";
+
+/**
+ * A failure with the ways out that apply to it. Actions left undefined are
+ * not shown.
+ */
+export default function ErrorBanner({
+  error,
+  onRetry,
+  onSmallerModel,
+  smallerModelLabel,
+  onUseWasm,
+  onDismiss,
+}) {
+  const { title, hint } = ERROR_KINDS[error.kind] ?? ERROR_KINDS.unknown;
+
+  return (
+    <div className="mb-6 p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold text-red-300">{title}</p>
+          {hint && <p className="mt-1 text-[#e7e9ea]">{hint}</p>}
+          <p className="mt-1 font-mono text-xs text-[#71767b] break-all">{error.message}</p>
+          {error.retry.some(({ type }) => AUDIO_RETRIES.includes(type)) && (
+            <p className="mt-1 text-xs text-[#71767b]">
+              The audio is kept, so nothing is lost by retrying.
+            </p>
+          )}
+        </div>
+        <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onDismiss} title="Dismiss">
+          ✕
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2 mt-3">
+        {onRetry && (
+          <button className={buttonClassName} onClick={onRetry}>
+            Retry
+          </button>
+        )}
+        {onSmallerModel && (
+          <button className={buttonClassName} onClick={onSmallerModel}>
+            Switch to {smallerModelLabel}
+          </button>
+        )}
+        {onUseWasm && (
+          <button className={buttonClassName} onClick={onUseWasm}>
+            Retry on CPU (WASM)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
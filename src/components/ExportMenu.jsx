@@ -0,0 +1,46 @@
+import { useEffect, useRef, useState } from "react";
+
+import { EXPORT_FORMATS } from "../utils/export";
+
+export default function ExportMenu({ onExport, disabled }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        className="px-4 py-2 bg-white/10 text-[#e7e9ea] border border-white/20 rounded-lg text-sm font-medium hover:bg-white/15 transition-colors"
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled}
+      >
+        Export ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-44 bg-[#16181c] border border-[#2f3336] rounded-lg shadow-lg overflow-hidden z-10">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              className="block w-full text-left px-4 py-2 text-sm hover:bg-white/10"
+              onClick={() => {
+                setOpen(false);
+                onExport(format);
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useRef, useState } from "react";
+
+import Progress from "./Progress";
+import { ACCEPTED_FILE_TYPES } from "../utils/audio";
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  decoding: "Decoding...",
+  transcribing: "Transcribing",
+  done: "Done",
+  error: "Failed",
+  cancelled: "Cancelled",
+};
+
+export default function FileUpload({ queue, onAddFiles, onRemoveFile, disabled }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (disabled) return;
+    onAddFiles(Array.from(e.dataTransfer.files));
+  };
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0">
+      <div
+        className={`h-28 mb-4 rounded-xl border-2 border-dashed flex flex-col items-center justify-center text-sm text-center transition-colors ${
+          dragging ? "border-[#479faf] bg-[#479faf]/10" : "border-[#2f3336] bg-black/30"
+        } ${disabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}
+        onClick={() => !disabled && inputRef.current?.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!disabled) setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <span>Drop audio or video files here</span>
+        <span className="text-[#71767b]">or click to browse (MP3, WAV, M4A, OGG, WebM, MP4)</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_FILE_TYPES}
+          multiple
+          hidden
+          onChange={(e) => {
+            onAddFiles(Array.from(e.target.files));
+            // Allow picking the same file again
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      <div className="flex-1 bg-black/30 rounded-xl p-4 overflow-y-auto overflow-x-hidden scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+        {queue.length === 0 ? (
+          <p className="text-sm text-[#71767b]">No files queued.</p>
+        ) : (
+          queue.map((item) => (
+            <div key={item.id} className="mb-3 text-sm">
+              <div className="flex justify-between items-center gap-2 mb-1">
+                <span className="truncate" title={item.file.name}>{item.file.name}</span>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={item.status === "error" ? "text-red-300" : "text-[#71767b]"}>
+                    {STATUS_LABELS[item.status]}
+                  </span>
+                  {item.status === "queued" && (
+                    <button
+                      className="text-[#71767b] hover:text-[#e7e9ea]"
+                      onClick={() => onRemoveFile(item.id)}
+                      title="Remove from queue"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              </div>
+              {item.status === "transcribing" && (
+                <Progress
+                  text={`${item.chunksDone} / ${item.totalChunks} chunks`}
+                  percentage={(item.chunksDone / item.totalChunks) * 100}
+                />
+              )}
+              {item.status === "error" && (
+                <p className="text-xs text-red-300">{item.error}</p>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import Markdown from "react-markdown";
+
+import Progress from "./Progress";
+
+export default function FormattedTranscript({ formatting, formatted, progressItems }) {
+  const running = formatting !== null;
+
+  return (
+    <div className="bg-[#16181c] border border-[#2f3336] rounded-2xl p-6 mt-6">
+      <div className="flex justify-between items-center mb-4 pb-4 border-b border-[#2f3336]">
+        <div>
+          <h2 className="text-lg font-semibold">AI Formatted</h2>
+          <p className="text-sm text-[#71767b]">
+            {running
+              ? formatting.totalSteps
+                ? `Formatting part ${Math.min(formatting.step + 1, formatting.totalSteps)} of ${formatting.totalSteps}...`
+                : "Loading formatting model..."
+              : "Generated locally from the complete transcript"}
+          </p>
+        </div>
+      </div>
+
+      {running && progressItems.length > 0 && (
+        <div className="mb-4">
+          {progressItems.map(({ file, progress, total }, i) => (
+            <Progress key={i} text={file} percentage={progress} total={total} />
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-black/30 rounded-xl p-4 max-h-[500px] overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          <div className="markdown">
+            <Markdown>{formatted?.formatted || ""}</Markdown>
+          </div>
+        </div>
+        <div className="lg:col-span-1 bg-black/30 rounded-xl p-4 max-h-[500px] overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          {formatted?.summary ? (
+            <div className="markdown">
+              <Markdown>{formatted.summary}</Markdown>
+            </div>
+          ) : (
+            <p className="text-sm text-[#71767b]">
+              {running ? "The summary and action items follow the formatted text." : "No summary yet."}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
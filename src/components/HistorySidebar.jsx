@@ -0,0 +1,203 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+import ExportMenu from "./ExportMenu";
+import { deleteSession, listSessions, saveSession } from "../utils/db";
+import { downloadTranscript } from "../utils/export";
+import { compileSearch, searchSessions } from "../utils/search";
+import { applySpeakerNames, formatTimestamp } from "../utils/segments";
+
+// Matching lines shown under each session, and the text around a match
+const MAX_RESULTS = 3;
+const SNIPPET_CONTEXT = 40;
+
+function Snippet({ text, match }) {
+  const from = Math.max(0, match.start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, match.end + SNIPPET_CONTEXT);
+  return (
+    <>
+      {from > 0 && "…"}
+      {text.slice(from, match.start)}
+      <mark className="rounded-sm bg-[#efa847]/40 text-inherit">{text.slice(match.start, match.end)}</mark>
+      {text.slice(match.end, to)}
+      {to < text.length && "…"}
+    </>
+  );
+}
+
+export default function HistorySidebar({
+  open,
+  onClose,
+  currentSessionId,
+  refreshKey,
+  onOpenSession,
+  onDeleteSession,
+  disabled,
+}) {
+  const [sessions, setSessions] = useState([]);
+  const [query, setQuery] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [title, setTitle] = useState("");
+
+  const reload = useCallback(
+    () =>
+      listSessions()
+        .then(setSessions)
+        .catch((error) => console.error("Error loading sessions:", error)),
+    [],
+  );
+
+  useEffect(() => {
+    if (open) reload();
+  }, [open, refreshKey, reload]);
+
+  // Sessions with the segments that match the search, if there is one
+  const filtered = useMemo(() => {
+    const q = query.trim();
+    if (!q) return sessions.map((session) => ({ session, segments: [] }));
+    return searchSessions(sessions, compileSearch({ query: q }));
+  }, [sessions, query]);
+
+  const rename = async (id) => {
+    setRenamingId(null);
+    if (title.trim()) {
+      await saveSession(id, { title: title.trim() });
+      reload();
+    }
+  };
+
+  const remove = async (session) => {
+    if (!confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+    await deleteSession(session.id);
+    onDeleteSession(session.id);
+    reload();
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-20 flex" onClick={onClose}>
+      <div
+        className="w-full max-w-sm h-full bg-[#16181c] border-r border-[#2f3336] p-5 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">History</h2>
+          <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+        <p className="text-xs text-[#71767b] mb-3">Stored in this browser only. Nothing is uploaded.</p>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search transcripts..."
+          className="mb-4 px-3 py-2 bg-black/30 border border-[#2f3336] rounded-lg text-sm focus:outline-none focus:border-[#479faf]"
+        />
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          {filtered.length === 0 && (
+            <p className="text-sm text-[#71767b]">
+              {sessions.length === 0 ? "No saved sessions yet." : "No matching sessions."}
+            </p>
+          )}
+          {filtered.map(({ session, segments }) => {
+            const duration = session.segments.at(-1)?.end ?? 0;
+            return (
+              <div
+                key={session.id}
+                className={`mb-2 p-3 rounded-lg border ${
+                  session.id === currentSessionId
+                    ? "border-[#479faf] bg-[#479faf]/10"
+                    : "border-[#2f3336] bg-black/20"
+                }`}
+              >
+                {renamingId === session.id ? (
+                  <input
+                    autoFocus
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    onBlur={() => rename(session.id)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") rename(session.id);
+                      if (e.key === "Escape") setRenamingId(null);
+                    }}
+                    className="w-full mb-1 px-2 py-1 bg-black/30 border border-[#2f3336] rounded text-sm focus:outline-none focus:border-[#479faf]"
+                  />
+                ) : (
+                  <button
+                    className="block w-full text-left text-sm font-medium truncate hover:text-[#479faf] disabled:cursor-not-allowed"
+                    onClick={() => onOpenSession(session)}
+                    disabled={disabled}
+                    title="Open session"
+                  >
+                    {session.title}
+                  </button>
+                )}
+                <p className="text-xs text-[#71767b] mb-2">
+                  {new Date(session.createdAt).toLocaleString()} · {formatTimestamp(duration)} · {session.model}
+                </p>
+                {segments.length === 0 ? (
+                  <p className="text-xs text-[#71767b] line-clamp-2 mb-2">{session.text}</p>
+                ) : (
+                  <div className="mb-2">
+                    {segments.slice(0, MAX_RESULTS).map(({ segment, matches }) => (
+                      <button
+                        key={segment.id}
+                        className="flex gap-2 w-full text-left text-xs text-[#71767b] py-0.5 hover:text-[#e7e9ea] disabled:cursor-not-allowed"
+                        onClick={() => onOpenSession(session, { query: query.trim(), match: matches[0] })}
+                        disabled={disabled}
+                        title="Open session here"
+                      >
+                        <span className="shrink-0 font-mono text-[#479faf]">{formatTimestamp(matches[0].time)}</span>
+                        <span className="line-clamp-2">
+                          <Snippet text={segment.text} match={matches[0]} />
+                        </span>
+                      </button>
+                    ))}
+                    {segments.length > MAX_RESULTS && (
+                      <p className="text-xs text-[#71767b]">
+                        and {segments.length - MAX_RESULTS} more matching{" "}
+                        {segments.length - MAX_RESULTS === 1 ? "line" : "lines"}
+                      </p>
+                    )}
+                  </div>
+                )}
+                <div className="flex gap-2 text-xs">
+                  <button
+                    className="px-2 py-1 bg-white/10 rounded hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={() => {
+                      setTitle(session.title);
+                      setRenamingId(session.id);
+                    }}
+                    disabled={disabled}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    className="px-2 py-1 bg-white/10 rounded hover:bg-white/15 hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={() => remove(session)}
+                    disabled={disabled}
+                  >
+                    Delete
+                  </button>
+                  <ExportMenu
+                    onExport={(format) =>
+                      downloadTranscript(format, applySpeakerNames(session.segments, session.speakerNames), {
+                        model: session.model,
+                        language: session.language,
+                        filename: session.title,
+                      })
+                    }
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/50" />
+    </div>
+  );
+}
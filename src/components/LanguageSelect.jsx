@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from "react";
+
+import { AUTO_DETECT, LANGUAGES, languageName } from "../utils/languages";
+import { isMultilingual, supportsLanguage } from "../utils/models";
+
+export default function LanguageSelect({ value, onChange, model, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const options = [
+    ...(isMultilingual(model) ? [[AUTO_DETECT, "Auto-detect"]] : []),
+    ...LANGUAGES,
+  ];
+  const search = query.trim().toLowerCase();
+  const matches = options.filter(
+    ([code, name]) => !search || code === search || name.toLowerCase().includes(search),
+  );
+
+  const select = (code) => {
+    onChange(code);
+    setOpen(false);
+    setQuery("");
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-sm text-[#71767b]">Language:</span>
+      <div className="relative" ref={menuRef}>
+        <button
+          className="px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setOpen((prev) => !prev)}
+          disabled={disabled}
+        >
+          {value === AUTO_DETECT ? "Auto-detect" : languageName(value)} ▾
+        </button>
+        {open && (
+          <div className="absolute left-0 mt-2 w-56 bg-[#16181c] border border-[#2f3336] rounded-lg shadow-lg overflow-hidden z-10">
+            <input
+              autoFocus
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") setOpen(false);
+                if (e.key === "Enter") {
+                  const first = matches.find(([code]) => supportsLanguage(model, code));
+                  if (first) select(first[0]);
+                }
+              }}
+              placeholder="Search languages..."
+              className="w-full px-3 py-2 bg-black/30 border-b border-[#2f3336] text-sm focus:outline-none"
+            />
+            <div className="max-h-64 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10">
+              {matches.map(([code, name]) => (
+                <button
+                  key={code}
+                  className={`block w-full text-left px-3 py-1.5 text-sm hover:bg-white/10 disabled:opacity-40 disabled:hover:bg-transparent disabled:cursor-not-allowed ${
+                    code === value ? "text-[#479faf]" : ""
+                  }`}
+                  onClick={() => select(code)}
+                  disabled={!supportsLanguage(model, code)}
+                >
+                  {name}
+                </button>
+              ))}
+              {matches.length === 0 && (
+                <p className="px-3 py-2 text-sm text-[#71767b]">No matching language</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// The meter spans this range of dBFS
+const FLOOR_DB = -60;
+
+function position(db) {
+  return `${Math.min(Math.max((db - FLOOR_DB) / -FLOOR_DB, 0), 1) * 100}%`;
+}
+
+/**
+ * Input level from the visualizer: the RMS level as a bar, the peak as a
+ * tick, and a warning when the input clips or stays too quiet.
+ */
+export default function LevelMeter({ level }) {
+  const warning = level?.clipping
+    ? "Clipping: turn the input gain down or move back from the microphone"
+    : level?.tooQuiet
+      ? "Very quiet: move closer to the microphone or turn the gain up"
+      : null;
+
+  return (
+    <div className="mb-4">
+      <div className="relative h-1.5 bg-white/10 rounded-full overflow-hidden">
+        {level && (
+          <>
+            <div
+              className={`h-full transition-[width] duration-100 ${
+                level.clipping ? "bg-red-500" : level.tooQuiet ? "bg-[#efa847]" : "bg-[#479faf]"
+              }`}
+              style={{ width: position(level.rms) }}
+            />
+            <div className="absolute top-0 h-full w-0.5 bg-[#e7e9ea]" style={{ left: position(level.peak) }} />
+          </>
+        )}
+      </div>
+      {warning && (
+        <p className={`mt-1 text-xs ${level.clipping ? "text-red-300" : "text-[#efa847]"}`}>{warning}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// Browser audio processing, all on by default
+const PROCESSING = {
+  echoCancellation: "Echo cancellation",
+  noiseSuppression: "Noise suppression",
+  autoGainControl: "Auto gain",
+};
+
+/**
+ * Input device and processing choices. They take effect between
+ * recordings, so they are disabled while one is running.
+ */
+export default function MicrophoneSettings({ devices, settings, activeDeviceId, onChange, disabled }) {
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-4">
+      <select
+        value={activeDeviceId}
+        onChange={(e) => onChange({ ...settings, deviceId: e.target.value })}
+        disabled={disabled}
+        title="Input device"
+        className="max-w-full px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <option value="">System default</option>
+        {devices?.map(({ deviceId, label }, i) => (
+          <option key={deviceId} value={deviceId}>
+            {label || `Microphone ${i + 1}`}
+          </option>
+        ))}
+      </select>
+      {Object.entries(PROCESSING).map(([key, label]) => (
+        <label key={key} className="flex items-center gap-2 text-xs text-[#71767b]">
+          <input
+            type="checkbox"
+            checked={settings[key]}
+            onChange={(e) => onChange({ ...settings, [key]: e.target.checked })}
+            disabled={disabled}
+            className="accent-[#479faf]"
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useState } from "react";
+
+import Progress from "./Progress";
+import { deleteCachedModel, listCachedModels } from "../utils/modelCache";
+import { formatSize } from "../utils/models";
+
+export default function ModelManager({
+  open,
+  onClose,
+  models,
+  currentModelId,
+  progressItems,
+  downloads,
+  onDownload,
+  localModelPath,
+  refreshKey,
+}) {
+  const [cached, setCached] = useState([]);
+  const [storage, setStorage] = useState(null);
+
+  const reload = useCallback(() => {
+    listCachedModels(localModelPath)
+      .then(setCached)
+      .catch((error) => console.error("Error listing cached models:", error));
+    navigator.storage
+      ?.estimate()
+      .then(setStorage)
+      .catch(() => setStorage(null));
+  }, [localModelPath]);
+
+  useEffect(() => {
+    if (open) reload();
+  }, [open, refreshKey, reload]);
+
+  const remove = async (id) => {
+    if (!confirm(`Delete the cached files of ${id}? They will be downloaded again when needed.`)) return;
+    await deleteCachedModel(id, localModelPath);
+    reload();
+  };
+
+  if (!open) return null;
+
+  // Known models first, then anything else in the cache, such as the
+  // formatting and speaker models
+  const rows = [
+    ...models.map((model) => ({ model, entry: cached.find(({ id }) => id === model.id) })),
+    ...cached
+      .filter((entry) => !models.some(({ id }) => id === entry.id))
+      .map((entry) => ({ model: null, entry })),
+  ];
+
+  return (
+    <div className="fixed inset-0 z-20 flex" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-[#16181c] border-r border-[#2f3336] p-5 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Models</h2>
+          <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+        <p className="text-xs text-[#71767b] mb-4">
+          Downloaded models stay in this browser, so they work offline.
+          {storage?.quota > 0 &&
+            ` Using ${formatSize(storage.usage)} of ${formatSize(storage.quota)} available.`}
+        </p>
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          {rows.map(({ model, entry }) => {
+            const id = model?.id ?? entry.id;
+            const downloading = downloads.includes(id);
+            const items = progressItems.filter(({ name }) => name === id);
+            return (
+              <div
+                key={id}
+                className={`mb-2 p-3 rounded-lg border ${
+                  id === currentModelId ? "border-[#479faf] bg-[#479faf]/10" : "border-[#2f3336] bg-black/20"
+                }`}
+              >
+                <p className="text-sm font-medium truncate">{model?.label ?? id}</p>
+                <p className="text-xs text-[#71767b] mb-2">
+                  {entry ? `${formatSize(entry.size)} cached` : "Not downloaded"}
+                  {model?.size && ` · ~${formatSize(model.size)} in full`}
+                  {entry?.lastUsed && ` · last used ${new Date(entry.lastUsed).toLocaleDateString()}`}
+                </p>
+                {entry && (
+                  <details className="mb-2 text-xs text-[#71767b]">
+                    <summary className="cursor-pointer hover:text-[#e7e9ea]">
+                      {entry.files.length} {entry.files.length === 1 ? "file" : "files"}
+                    </summary>
+                    {entry.files.map(({ file, size }) => (
+                      <div key={file} className="flex justify-between gap-2 pl-3">
+                        <span className="truncate">{file}</span>
+                        <span>{formatSize(size)}</span>
+                      </div>
+                    ))}
+                  </details>
+                )}
+                {items.map(({ file, progress, total }) => (
+                  <Progress key={file} text={file} percentage={progress} total={total} />
+                ))}
+                <div className="flex gap-2 text-xs">
+                  {model && !model.local && onDownload && (
+                    <button
+                      className="px-2 py-1 bg-white/10 rounded hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed"
+                      onClick={() => onDownload(model)}
+                      disabled={downloading}
+                      title="Fetch any missing files now, for offline use"
+                    >
+                      {downloading ? "Downloading..." : "Download"}
+                    </button>
+                  )}
+                  {entry && (
+                    <button
+                      className="px-2 py-1 bg-white/10 rounded hover:bg-white/15 hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      onClick={() => remove(id)}
+                      disabled={downloading}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/50" />
+    </div>
+  );
+}
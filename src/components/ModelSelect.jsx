@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+
+import { MODELS, fetchDownloadSize, formatSize, getModel } from "../utils/models";
+
+const ADD_CUSTOM = "add-custom";
+
+export default function ModelSelect({
+  value,
+  onChange,
+  customModels,
+  onAddCustom,
+  device,
+  disabled,
+}) {
+  const [adding, setAdding] = useState(false);
+  const [customId, setCustomId] = useState("");
+  const [fetchedSizes, setFetchedSizes] = useState({});
+
+  const model = getModel(value, customModels);
+  const sizeKey = `${model.key}@${device}`;
+  const size = model.size ?? fetchedSizes[sizeKey];
+
+  // Custom models have no declared size, so ask the Hub for one
+  useEffect(() => {
+    if (model.size !== null || sizeKey in fetchedSizes) return;
+    let cancelled = false;
+    fetchDownloadSize(model, device).then((bytes) => {
+      if (!cancelled) setFetchedSizes((prev) => ({ ...prev, [sizeKey]: bytes }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [model, device, sizeKey, fetchedSizes]);
+
+  const add = () => {
+    const id = customId.trim();
+    if (id) onAddCustom(id);
+    setCustomId("");
+    setAdding(false);
+  };
+
+  const selectClassName =
+    "px-3 py-2 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf] disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor="model-select" className="text-sm text-[#71767b]">
+        Model:
+      </label>
+      {adding ? (
+        <>
+          <input
+            autoFocus
+            value={customId}
+            onChange={(e) => setCustomId(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") add();
+              if (e.key === "Escape") setAdding(false);
+            }}
+            placeholder="Hub ID or /path/to/model"
+            className={`${selectClassName} w-56`}
+          />
+          <button
+            className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-sm hover:bg-white/15 transition-colors"
+            onClick={add}
+          >
+            Add
+          </button>
+          <button className="text-sm text-[#71767b] hover:text-[#e7e9ea]" onClick={() => setAdding(false)}>
+            Cancel
+          </button>
+        </>
+      ) : (
+        <>
+          <select
+            id="model-select"
+            value={model.key}
+            onChange={(e) => {
+              if (e.target.value === ADD_CUSTOM) {
+                setAdding(true);
+              } else {
+                onChange(e.target.value);
+              }
+            }}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {MODELS.map(({ key, label, size }) => (
+              <option key={key} value={key}>
+                {label} (~{formatSize(size)})
+              </option>
+            ))}
+            {customModels.length > 0 && (
+              <optgroup label="Custom">
+                {customModels.map(({ key, label }) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            <option value={ADD_CUSTOM}>Custom model…</option>
+          </select>
+          {model.custom && (
+            <span className="text-xs text-[#71767b]" title="Download size of the selected model">
+              {size ? `~${formatSize(size)}` : model.local ? "local" : "size unknown"}
+            </span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { useEffect, useRef, useState } from "react";
+import WaveSurfer from "wavesurfer.js";
+import RegionsPlugin from "wavesurfer.js/dist/plugins/regions.esm.js";
+
+import { formatTimestamp } from "../utils/segments";
+
+const REGION_COLOR = "rgba(71, 159, 175, 0.25)";
+
+export default function PlaybackPanel({
+  sources,
+  source,
+  onSourceChange,
+  seekRequest,
+  playPauseRequest,
+  onTimeUpdate,
+}) {
+  const containerRef = useRef(null);
+  const wavesurferRef = useRef(null);
+  const regionsRef = useRef(null);
+  const loopRef = useRef(false);
+  // A seek that has to wait until the requested source has loaded
+  const pendingSeekRef = useRef(null);
+  const loadingRef = useRef(false);
+  const onTimeUpdateRef = useRef(onTimeUpdate);
+
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [loop, setLoop] = useState(false);
+  const [hasRegion, setHasRegion] = useState(false);
+
+  useEffect(() => {
+    onTimeUpdateRef.current = onTimeUpdate;
+  }, [onTimeUpdate]);
+
+  useEffect(() => {
+    loopRef.current = loop;
+  }, [loop]);
+
+  // Create the waveform once; sources are swapped in with `loadBlob`
+  useEffect(() => {
+    const regions = RegionsPlugin.create();
+    const wavesurfer = WaveSurfer.create({
+      container: containerRef.current,
+      height: 64,
+      waveColor: "#2f3336",
+      progressColor: "#479faf",
+      cursorColor: "#e7e9ea",
+      barWidth: 2,
+      barGap: 1,
+      barRadius: 2,
+      plugins: [regions],
+    });
+
+    // Drag on the waveform to select a single region to loop
+    regions.enableDragSelection({ color: REGION_COLOR });
+    regions.on("region-created", (region) => {
+      regions.getRegions().forEach((r) => r !== region && r.remove());
+      setHasRegion(true);
+    });
+    regions.on("region-removed", () => setHasRegion(regions.getRegions().length > 0));
+    regions.on("region-out", (region) => {
+      if (loopRef.current) region.play();
+    });
+    regions.on("region-clicked", (region, e) => {
+      e.stopPropagation();
+      region.play();
+    });
+
+    wavesurfer.on("ready", (duration) => {
+      loadingRef.current = false;
+      setDuration(duration);
+      if (pendingSeekRef.current !== null) {
+        wavesurfer.setTime(pendingSeekRef.current);
+        pendingSeekRef.current = null;
+        wavesurfer.play();
+      }
+    });
+    wavesurfer.on("timeupdate", (time) => {
+      setCurrentTime(time);
+      onTimeUpdateRef.current?.(time);
+    });
+    wavesurfer.on("play", () => setPlaying(true));
+    wavesurfer.on("pause", () => setPlaying(false));
+
+    wavesurferRef.current = wavesurfer;
+    regionsRef.current = regions;
+    return () => {
+      wavesurfer.destroy();
+      wavesurferRef.current = null;
+      regionsRef.current = null;
+    };
+  }, []);
+
+  const blob = sources.find((s) => s.source === source)?.blob;
+
+  useEffect(() => {
+    const wavesurfer = wavesurferRef.current;
+    if (!wavesurfer || !blob) return;
+    regionsRef.current.clearRegions();
+    setCurrentTime(0);
+    setDuration(0);
+    loadingRef.current = true;
+    wavesurfer.loadBlob(blob).catch((error) => console.error("Error loading audio:", error));
+  }, [blob]);
+
+  // Jump to a position requested from the transcript
+  useEffect(() => {
+    const wavesurfer = wavesurferRef.current;
+    if (!wavesurfer || !seekRequest) return;
+    if (!loadingRef.current) {
+      wavesurfer.setTime(seekRequest.time);
+      wavesurfer.play();
+    } else {
+      pendingSeekRef.current = seekRequest.time;
+    }
+  }, [seekRequest]);
+
+  // Play or pause from a keyboard shortcut
+  useEffect(() => {
+    if (playPauseRequest) wavesurferRef.current?.playPause();
+  }, [playPauseRequest]);
+
+  return (
+    <div className="bg-[#16181c] border border-[#2f3336] rounded-2xl p-4 mb-6">
+      <div className="flex items-center gap-3 mb-3 text-sm">
+        <button
+          className="w-9 h-9 flex items-center justify-center bg-[#479faf] text-white rounded-full hover:bg-[#3a8a98] transition-colors"
+          onClick={() => wavesurferRef.current?.playPause()}
+          title={playing ? "Pause" : "Play"}
+        >
+          {playing ? "❚❚" : "▶"}
+        </button>
+        <span className="font-mono text-[#71767b]">
+          {formatTimestamp(currentTime)} / {formatTimestamp(duration)}
+        </span>
+
+        {sources.length > 1 && (
+          <select
+            value={source ?? ""}
+            onChange={(e) => onSourceChange(e.target.value)}
+            className="px-3 py-1 bg-black/30 border border-[#2f3336] rounded-lg text-sm focus:outline-none focus:border-[#479faf]"
+          >
+            {sources.map(({ source }) => (
+              <option key={source} value={source}>
+                {source}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex items-center gap-3 ml-auto text-[#71767b]">
+          <span className="hidden sm:inline">Drag on the waveform to select a region</span>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={loop}
+              onChange={(e) => setLoop(e.target.checked)}
+              className="accent-[#479faf]"
+            />
+            Loop region
+          </label>
+          <button
+            className="px-3 py-1 bg-white/10 rounded-lg hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => regionsRef.current?.clearRegions()}
+            disabled={!hasRegion}
+          >
+            Clear region
+          </button>
+        </div>
+      </div>
+      <div ref={containerRef} />
+    </div>
+  );
+}
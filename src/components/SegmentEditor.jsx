@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react";
+
+const buttonClassName =
+  "px-2 py-1 bg-white/10 rounded text-xs hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Edits the text of one segment in place. Enter or leaving the field saves,
+ * Escape discards. Split and merge include any unsaved edit.
+ */
+export default function SegmentEditor({
+  segment,
+  onSave,
+  onCancel,
+  onSplit,
+  onMergeNext,
+  onRetranscribe,
+  largerModelLabel,
+}) {
+  const [text, setText] = useState(segment.text);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }, []);
+
+  // Grow with the text instead of scrolling
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    textarea.style.height = "auto";
+    textarea.style.height = `${textarea.scrollHeight}px`;
+  }, [text]);
+
+  const save = () => {
+    const trimmed = text.trim();
+    if (trimmed && trimmed !== segment.text) onSave(trimmed);
+    else onCancel();
+  };
+
+  // Buttons would otherwise take the focus and save on blur first
+  const keepFocus = (e) => e.preventDefault();
+
+  const split = () => {
+    const leading = text.length - text.trimStart().length;
+    onSplit(text.trim(), textareaRef.current.selectionStart - leading);
+  };
+
+  return (
+    <div className="flex-1 min-w-0" onClick={(e) => e.stopPropagation()}>
+      <textarea
+        ref={textareaRef}
+        className="w-full px-2 py-1 bg-[#16181c] border border-[#479faf] rounded-lg text-[#e7e9ea] leading-relaxed resize-none focus:outline-none"
+        rows={1}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            save();
+          } else if (e.key === "Escape") {
+            onCancel();
+          }
+        }}
+      />
+      <div className="flex flex-wrap gap-2 mt-1">
+        <button
+          className={buttonClassName}
+          onMouseDown={keepFocus}
+          onClick={split}
+          title="Split into two segments where the cursor is"
+        >
+          Split at cursor
+        </button>
+        {onMergeNext && (
+          <button
+            className={buttonClassName}
+            onMouseDown={keepFocus}
+            onClick={() => onMergeNext(text.trim())}
+          >
+            Merge with next
+          </button>
+        )}
+        {onRetranscribe && (
+          <button className={buttonClassName} onMouseDown={keepFocus} onClick={() => onRetranscribe(false)}>
+            Re-transcribe
+          </button>
+        )}
+        {onRetranscribe && largerModelLabel && (
+          <button className={buttonClassName} onMouseDown={keepFocus} onClick={() => onRetranscribe(true)}>
+            Re-transcribe with {largerModelLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
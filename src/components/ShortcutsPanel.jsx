@@ -0,0 +1,105 @@
+import { useState } from "react";
+
+import { EXPORT_FORMATS } from "../utils/export";
+import { SHORTCUT_ACTIONS, defaultKeys, shortcutFromEvent } from "../utils/shortcuts";
+
+const buttonClassName = "px-2 py-1 bg-white/10 rounded text-xs hover:bg-white/15";
+
+/**
+ * Key bindings for the main actions. Click a binding, then press the new
+ * keys; a shortcut taken by another action moves to this one.
+ */
+export default function ShortcutsPanel({ open, onClose, shortcuts, onChange }) {
+  // The action waiting for its new keys
+  const [listening, setListening] = useState(null);
+
+  if (!open) return null;
+
+  const bind = (action, shortcut) => {
+    const keys = Object.fromEntries(
+      Object.entries(shortcuts.keys).map(([other, key]) => [other, shortcut && key === shortcut ? "" : key]),
+    );
+    onChange({ ...shortcuts, keys: { ...keys, [action]: shortcut } });
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-[#16181c] border-r border-[#2f3336] p-5 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Keyboard shortcuts</h2>
+          <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          <p className="text-xs text-[#71767b] mb-4">
+            Shortcuts work while this tab has the focus. In text fields only the ones with Alt do.
+            Hold push to talk to record, and let go to add what you said to the transcript.
+          </p>
+
+          {SHORTCUT_ACTIONS.map(({ action, label }) => (
+            <div key={action} className="flex items-center gap-2 mb-2 text-sm">
+              <span className="flex-1">{label}</span>
+              <button
+                className={`min-w-32 px-2 py-1 rounded-lg border font-mono text-xs ${
+                  listening === action
+                    ? "border-[#479faf] text-[#479faf]"
+                    : "border-[#2f3336] bg-black/20 hover:border-[#479faf]"
+                }`}
+                onClick={() => setListening(action)}
+                onBlur={() => setListening(null)}
+                onKeyDown={(e) => {
+                  if (listening !== action) return;
+                  e.preventDefault();
+                  e.stopPropagation();
+                  if (e.key === "Escape") {
+                    setListening(null);
+                    return;
+                  }
+                  const shortcut = shortcutFromEvent(e);
+                  if (!shortcut) return;
+                  bind(action, shortcut);
+                  setListening(null);
+                }}
+              >
+                {listening === action ? "Press keys..." : shortcuts.keys[action] || "Not set"}
+              </button>
+              <button
+                className="text-[#71767b] hover:text-red-300 disabled:invisible"
+                onClick={() => bind(action, "")}
+                disabled={!shortcuts.keys[action]}
+                title="Remove shortcut"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <label className="flex items-center gap-2 mt-4 text-sm">
+            <span className="flex-1">Export shortcut saves as</span>
+            <select
+              value={shortcuts.exportFormat}
+              onChange={(e) => onChange({ ...shortcuts, exportFormat: e.target.value })}
+              className="px-2 py-1 bg-black/30 border border-[#2f3336] rounded-lg text-sm focus:outline-none focus:border-[#479faf]"
+            >
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <option key={format} value={format}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <button className={`${buttonClassName} mt-5`} onClick={() => onChange({ ...shortcuts, keys: defaultKeys() })}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 bg-black/50" />
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from "react";
+
+export default function SpeakerList({ speakers, onRename, onMerge, disabled }) {
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState("");
+
+  const commit = (key) => {
+    setEditing(null);
+    if (name.trim()) onRename(key, name.trim());
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-3 text-xs">
+      {speakers.map(({ key, label, count }) => (
+        <div
+          key={key}
+          className="flex items-center gap-2 px-2 py-1 bg-black/30 border border-[#2f3336] rounded-lg"
+        >
+          {editing === key ? (
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onBlur={() => commit(key)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commit(key);
+                if (e.key === "Escape") setEditing(null);
+              }}
+              className="w-28 px-1 bg-black/30 border border-[#2f3336] rounded focus:outline-none focus:border-[#479faf]"
+            />
+          ) : (
+            <button
+              className="font-semibold text-[#efa847] hover:underline disabled:no-underline disabled:cursor-not-allowed"
+              onClick={() => {
+                setName(label);
+                setEditing(key);
+              }}
+              disabled={disabled}
+              title="Rename speaker"
+            >
+              {label}
+            </button>
+          )}
+          <span className="text-[#71767b]">{count}</span>
+          {speakers.length > 1 && (
+            <select
+              value=""
+              onChange={(e) => onMerge(key, e.target.value)}
+              disabled={disabled}
+              className="bg-transparent text-[#71767b] focus:outline-none"
+              title="Merge this speaker into another"
+            >
+              <option value="">Merge into…</option>
+              {speakers
+                .filter((other) => other.key !== key)
+                .map((other) => (
+                  <option key={other.key} value={other.key}>
+                    {other.label}
+                  </option>
+                ))}
+            </select>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+const inputClassName =
+  "min-w-0 flex-1 px-3 py-1.5 bg-black/30 border border-[#2f3336] rounded-lg text-sm focus:outline-none focus:border-[#479faf]";
+const buttonClassName =
+  "px-2 py-1 bg-white/10 rounded text-xs hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed";
+
+function Toggle({ checked, onChange, disabled, children }) {
+  return (
+    <label className={`flex items-center gap-1 ${disabled ? "opacity-50" : ""}`}>
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        disabled={disabled}
+        className="accent-[#479faf]"
+      />
+      {children}
+    </label>
+  );
+}
+
+/**
+ * Find bar for the transcript. Enter goes to the next match, Shift+Enter to
+ * the previous one, Escape closes.
+ */
+export default function TranscriptSearch({
+  search,
+  onSearchChange,
+  matchCount,
+  currentIndex,
+  error,
+  onPrevious,
+  onNext,
+  onReplace,
+  onReplaceAll,
+  onClose,
+}) {
+  const update = (changes) => onSearchChange({ ...search, ...changes });
+
+  return (
+    <div className="mb-3 p-3 rounded-lg border border-[#2f3336] bg-black/20 text-sm">
+      <div className="flex items-center gap-2">
+        <input
+          type="search"
+          autoFocus
+          value={search.query}
+          onChange={(e) => update({ query: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              if (e.shiftKey) onPrevious();
+              else onNext();
+            } else if (e.key === "Escape") {
+              onClose();
+            }
+          }}
+          placeholder="Find in transcript..."
+          className={inputClassName}
+        />
+        <span className="shrink-0 w-16 text-center text-xs text-[#71767b]">
+          {search.query && !error && (matchCount > 0 ? `${currentIndex + 1} of ${matchCount}` : "No results")}
+        </span>
+        <button className={buttonClassName} onClick={onPrevious} disabled={matchCount === 0} title="Previous (Shift+Enter)">
+          ↑
+        </button>
+        <button className={buttonClassName} onClick={onNext} disabled={matchCount === 0} title="Next (Enter)">
+          ↓
+        </button>
+        <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose} title="Close (Escape)">
+          ✕
+        </button>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <input
+          value={search.replace}
+          onChange={(e) => update({ replace: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              onReplace?.();
+            } else if (e.key === "Escape") {
+              onClose();
+            }
+          }}
+          placeholder="Replace with..."
+          className={inputClassName}
+        />
+        <button className={buttonClassName} onClick={onReplace} disabled={!onReplace || matchCount === 0}>
+          Replace
+        </button>
+        <button className={buttonClassName} onClick={onReplaceAll} disabled={!onReplaceAll || matchCount === 0}>
+          Replace all
+        </button>
+      </div>
+      <div className="flex gap-4 mt-2 text-xs text-[#71767b]">
+        <Toggle checked={search.matchCase} onChange={(matchCase) => update({ matchCase })}>
+          Match case
+        </Toggle>
+        <Toggle
+          checked={search.wholeWord}
+          onChange={(wholeWord) => update({ wholeWord })}
+          disabled={search.regex}
+        >
+          Whole word
+        </Toggle>
+        <Toggle checked={search.regex} onChange={(regex) => update({ regex })}>
+          Regex
+        </Toggle>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-300">{error.message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+import SegmentEditor from "./SegmentEditor";
+import { languageName } from "../utils/languages";
+import { formatTimestamp, textWords } from "../utils/segments";
+
+// Words Whisper was less sure of than this are highlighted
+const LOW_CONFIDENCE = 0.5;
+
+function wordTitle(word, confidence) {
+  const parts = [];
+  if (word) parts.push(`${formatTimestamp(word.start)} – ${formatTimestamp(word.end)}`);
+  if (confidence != null) parts.push(`${Math.round(confidence * 100)}% confident`);
+  return parts.join(", ") || undefined;
+}
+
+// The text with search matches marked, the current one brighter
+function HighlightedText({ text, matches, currentMatch, currentRef }) {
+  const parts = [];
+  let end = 0;
+  for (const match of matches) {
+    if (match.start > end) parts.push(text.slice(end, match.start));
+    const current = match === currentMatch;
+    parts.push(
+      <mark
+        key={match.start}
+        ref={current ? currentRef : null}
+        className={`rounded-sm text-inherit ${current ? "bg-[#efa847]/70" : "bg-[#efa847]/25"}`}
+      >
+        {text.slice(match.start, match.end)}
+      </mark>,
+    );
+    end = match.end;
+  }
+  parts.push(text.slice(end));
+  return parts;
+}
+
+function SegmentText({ segment, matches, currentMatch, currentRef }) {
+  if (matches) {
+    return (
+      <HighlightedText
+        text={segment.text}
+        matches={matches}
+        currentMatch={currentMatch}
+        currentRef={currentRef}
+      />
+    );
+  }
+  if (segment.confidences) {
+    const words = textWords(segment.text);
+    const timed = segment.words?.length === words.length ? segment.words : null;
+    return words.map((word, i) => {
+      const confidence = segment.confidences[i];
+      return (
+        <span key={i}>
+          {i > 0 && " "}
+          <span
+            className={
+              confidence != null && confidence < LOW_CONFIDENCE
+                ? "bg-[#efa847]/20 underline decoration-[#efa847] decoration-dotted underline-offset-4"
+                : ""
+            }
+            title={wordTitle(timed?.[i], confidence)}
+          >
+            {word}
+          </span>
+        </span>
+      );
+    });
+  }
+  if (segment.words) {
+    return segment.words.map((word, j) => (
+      <span key={j} title={wordTitle(word)}>
+        {word.text}
+      </span>
+    ));
+  }
+  return segment.text;
+}
+
+/**
+ * Segments with their timestamps. Given the editing callbacks, clicking a
+ * segment's text edits it, and its timestamp plays from there. `matches`
+ * from utils/search are highlighted, and `currentMatch` kept in view.
+ */
+export default function TranscriptView({
+  segments,
+  placeholder,
+  dimmed,
+  activeSegmentId,
+  onSegmentClick,
+  onEditSegment,
+  onSplitSegment,
+  onMergeSegment,
+  onRetranscribe,
+  largerModelLabel,
+  retranscribing = [],
+  matches = [],
+  currentMatch,
+}) {
+  const containerRef = useRef(null);
+  const activeRef = useRef(null);
+  const currentMatchRef = useRef(null);
+  const [editingId, setEditingId] = useState(null);
+  const editingRef = useRef(null);
+  const editable = !!onEditSegment;
+
+  useEffect(() => {
+    editingRef.current = editingId;
+  }, [editingId]);
+
+  // Keep the newest segments in view as they are appended, but not while
+  // they are being edited
+  const segmentCount = segments.length;
+  useEffect(() => {
+    const container = containerRef.current;
+    if (container && editingRef.current === null) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [segmentCount]);
+
+  const stopEditing = () => setEditingId(null);
+
+  // Follow playback through the transcript
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [activeSegmentId]);
+
+  const matchesBySegment = useMemo(() => {
+    const bySegment = new Map();
+    for (const match of matches) {
+      bySegment.set(match.segmentId, [...(bySegment.get(match.segmentId) ?? []), match]);
+    }
+    return bySegment;
+  }, [matches]);
+
+  useEffect(() => {
+    currentMatchRef.current?.scrollIntoView({ block: "center", behavior: "smooth" });
+  }, [currentMatch]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`h-full overflow-y-auto overflow-x-hidden leading-relaxed transition-opacity duration-200 scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15 ${
+        dimmed ? "opacity-50" : ""
+      }`}
+    >
+      {segments.length === 0 ? (
+        <p className="text-[#71767b]">{placeholder}</p>
+      ) : (
+        segments.map((segment, i) => {
+          const editing = editable && segment.id === editingId;
+          const pending = retranscribing.includes(segment.id);
+          const next = segments[i + 1];
+          return (
+            <div key={segment.id}>
+              {segment.source !== segments[i - 1]?.source && (
+                <h3 className={`text-sm font-semibold text-[#71767b] mb-2 ${i > 0 ? "mt-4" : ""}`}>
+                  {segment.source}
+                </h3>
+              )}
+              <div
+                ref={segment.id === activeSegmentId ? activeRef : null}
+                className={`flex gap-3 mb-1 px-2 py-1 -mx-2 rounded-lg transition-colors ${
+                  segment.id === activeSegmentId ? "bg-[#479faf]/20" : ""
+                } ${onSegmentClick && !editable ? "cursor-pointer hover:bg-white/5" : ""} ${
+                  pending ? "opacity-50" : ""
+                }`}
+                onClick={editable ? undefined : () => onSegmentClick?.(segment)}
+                title={onSegmentClick && !editable ? "Play from here" : undefined}
+              >
+                <span
+                  className={`shrink-0 w-16 pt-0.5 text-xs font-mono text-[#479faf] ${
+                    editable && onSegmentClick ? "cursor-pointer hover:underline" : ""
+                  }`}
+                  onClick={editable ? () => onSegmentClick?.(segment) : undefined}
+                  title={editable && onSegmentClick ? "Play from here" : undefined}
+                >
+                  {formatTimestamp(segment.start)}
+                  {segment.language && (
+                    <span
+                      className="block text-[#71767b]"
+                      title={`Detected ${languageName(segment.language)} with ${Math.round(segment.languageConfidence * 100)}% confidence`}
+                    >
+                      {segment.language} {Math.round(segment.languageConfidence * 100)}%
+                    </span>
+                  )}
+                </span>
+                {editing ? (
+                  <SegmentEditor
+                    segment={segment}
+                    onSave={(text) => {
+                      onEditSegment(segment.id, text);
+                      stopEditing();
+                    }}
+                    onCancel={stopEditing}
+                    onSplit={(text, index) => {
+                      onSplitSegment(segment.id, text, index);
+                      stopEditing();
+                    }}
+                    onMergeNext={
+                      next?.source === segment.source
+                        ? (text) => {
+                            onMergeSegment(segment.id, text);
+                            stopEditing();
+                          }
+                        : undefined
+                    }
+                    onRetranscribe={
+                      onRetranscribe &&
+                      ((larger) => {
+                        onRetranscribe(segment, larger);
+                        stopEditing();
+                      })
+                    }
+                    largerModelLabel={largerModelLabel}
+                  />
+                ) : (
+                  <p
+                    className={`break-words ${editable && !pending ? "cursor-text hover:bg-white/5 rounded" : ""}`}
+                    onClick={editable && !pending ? () => setEditingId(segment.id) : undefined}
+                    title={pending ? "Re-transcribing..." : editable ? "Click to edit" : undefined}
+                  >
+                    {segment.speakerLabel &&
+                      (segment.speakerLabel !== segments[i - 1]?.speakerLabel ||
+                        segment.source !== segments[i - 1]?.source) && (
+                        <span className="mr-2 text-sm font-semibold text-[#efa847]">
+                          {segment.speakerLabel}:
+                        </span>
+                      )}
+                    <SegmentText
+                      segment={segment}
+                      matches={matchesBySegment.get(segment.id)}
+                      currentMatch={currentMatch}
+                      currentRef={currentMatchRef}
+                    />
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { newVocabularyList } from "../utils/vocabulary";
+import { compileRule, newReplaceRule } from "../utils/replacements";
+
+const inputClassName =
+  "w-full px-2 py-1.5 bg-[#16181c] border border-[#2f3336] rounded-lg text-sm text-[#e7e9ea] focus:outline-none focus:border-[#479faf]";
+const buttonClassName = "px-2 py-1 bg-white/10 rounded text-xs hover:bg-white/15";
+
+/**
+ * Terms that steer Whisper's spelling, for this session and in saved lists,
+ * and find/replace rules applied to every finished segment.
+ */
+export default function VocabularyPanel({
+  open,
+  onClose,
+  sessionTerms,
+  onSessionTermsChange,
+  lists,
+  onListsChange,
+  rules,
+  onRulesChange,
+}) {
+  if (!open) return null;
+
+  const updateList = (id, changes) =>
+    onListsChange(lists.map((list) => (list.id === id ? { ...list, ...changes } : list)));
+  const updateRule = (id, changes) =>
+    onRulesChange(rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+
+  return (
+    <div className="fixed inset-0 z-20 flex" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-[#16181c] border-r border-[#2f3336] p-5 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Vocabulary</h2>
+          <button className="text-[#71767b] hover:text-[#e7e9ea]" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-track-white/5 scrollbar-thumb-white/10 hover:scrollbar-thumb-white/15">
+          <p className="text-xs text-[#71767b] mb-4">
+            Names and terms, separated by commas or new lines, are given to Whisper as context, so it
+            spells them the same way. Long lists are cut to their last ~220 tokens.
+          </p>
+
+          <h3 className="text-sm font-semibold mb-2">This session</h3>
+          <textarea
+            className={`${inputClassName} mb-5`}
+            rows={3}
+            value={sessionTerms}
+            onChange={(e) => onSessionTermsChange(e.target.value)}
+            placeholder="Speaker names, project names..."
+          />
+
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold">Saved lists</h3>
+            <button className={buttonClassName} onClick={() => onListsChange([...lists, newVocabularyList()])}>
+              + Add list
+            </button>
+          </div>
+          {lists.map((list) => (
+            <div key={list.id} className="mb-2 p-3 rounded-lg border border-[#2f3336] bg-black/20">
+              <div className="flex items-center gap-2 mb-2">
+                <input
+                  type="checkbox"
+                  checked={list.enabled}
+                  onChange={(e) => updateList(list.id, { enabled: e.target.checked })}
+                  className="accent-[#479faf]"
+                  title="Use this list"
+                />
+                <input
+                  className={inputClassName}
+                  value={list.name}
+                  onChange={(e) => updateList(list.id, { name: e.target.value })}
+                />
+                <button
+                  className="text-[#71767b] hover:text-red-300"
+                  onClick={() => onListsChange(lists.filter(({ id }) => id !== list.id))}
+                  title="Delete list"
+                >
+                  ✕
+                </button>
+              </div>
+              <textarea
+                className={inputClassName}
+                rows={3}
+                value={list.terms}
+                onChange={(e) => updateList(list.id, { terms: e.target.value })}
+                placeholder="Whakatāne, Ngāruawāhia, Tauranga..."
+              />
+            </div>
+          ))}
+
+          <div className="flex justify-between items-center mt-5 mb-2">
+            <h3 className="text-sm font-semibold">Find and replace</h3>
+            <button className={buttonClassName} onClick={() => onRulesChange([...rules, newReplaceRule()])}>
+              + Add rule
+            </button>
+          </div>
+          <p className="text-xs text-[#71767b] mb-2">
+            Run in order over each new segment. Plain text matches whole words; regular
+            expressions can use $1 for groups.
+          </p>
+          {rules.map((rule) => {
+            const compiled = rule.find ? compileRule(rule) : null;
+            return (
+              <div key={rule.id} className="mb-2 p-3 rounded-lg border border-[#2f3336] bg-black/20">
+                <div className="flex items-center gap-2 mb-2">
+                  <input
+                    className={`${inputClassName} font-mono`}
+                    value={rule.find}
+                    onChange={(e) => updateRule(rule.id, { find: e.target.value })}
+                    placeholder="Find"
+                  />
+                  <span className="text-[#71767b]">→</span>
+                  <input
+                    className={`${inputClassName} font-mono`}
+                    value={rule.replace}
+                    onChange={(e) => updateRule(rule.id, { replace: e.target.value })}
+                    placeholder="Replace"
+                  />
+                  <button
+                    className="text-[#71767b] hover:text-red-300"
+                    onClick={() => onRulesChange(rules.filter(({ id }) => id !== rule.id))}
+                    title="Delete rule"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <div className="flex gap-4 text-xs text-[#71767b]">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={rule.regex}
+                      onChange={(e) => updateRule(rule.id, { regex: e.target.checked })}
+                      className="accent-[#479faf]"
+                    />
+                    Regex
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={rule.matchCase}
+                      onChange={(e) => updateRule(rule.id, { matchCase: e.target.checked })}
+                      className="accent-[#479faf]"
+                    />
+                    Match case
+                  </label>
+                </div>
+                {compiled instanceof Error && (
+                  <p className="mt-1 text-xs text-red-300">Skipped: {compiled.message}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/50" />
+    </div>
+  );
+}
@@ -0,0 +1,6 @@
+export const WHISPER_SAMPLING_RATE = 16_000;
+
+// Long-form audio is transcribed in 30 s windows that overlap their
+// neighbours by 5 s on each side.
+export const CHUNK_LENGTH_S = 30;
+export const STRIDE_LENGTH_S = 5;
@@ -0,0 +1,43 @@
+// Audio worklet that forwards raw PCM from the microphone to the main thread.
+// Runs at the AudioContext's sample rate, so a 16 kHz context yields samples
+// ready for Whisper without resampling.
+
+const BATCH_SIZE = 4096; // ~256 ms at 16 kHz; one render quantum is only 128
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = new Float32Array(BATCH_SIZE);
+    this.length = 0;
+    this.stopped = false;
+    this.port.onmessage = (e) => {
+      if (e.data === "stop") this.stopped = true;
+    };
+  }
+
+  process(inputs) {
+    // Returning false lets the node be garbage collected
+    if (this.stopped) return false;
+
+    // Only the first channel is used, matching `getChannelData(0)` elsewhere
+    const input = inputs[0]?.[0];
+    if (!input) return true;
+
+    let offset = 0;
+    while (offset < input.length) {
+      const count = Math.min(input.length - offset, BATCH_SIZE - this.length);
+      this.buffer.set(input.subarray(offset, offset + count), this.length);
+      this.length += count;
+      offset += count;
+
+      if (this.length === BATCH_SIZE) {
+        this.port.postMessage(this.buffer, [this.buffer.buffer]);
+        this.buffer = new Float32Array(BATCH_SIZE);
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("pcm-capture", PcmCaptureProcessor);
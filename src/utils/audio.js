@@ -0,0 +1,164 @@
+import pcmWorkletUrl from "../pcm-worklet.js?url";
+
+// Extensions accepted by the file picker. Video containers are decoded for
+// their audio track only.
+export const ACCEPTED_FILE_TYPES =
+  "audio/*,video/mp4,video/webm,.mp3,.wav,.m4a,.ogg,.oga,.opus,.webm,.mp4";
+
+/**
+ * `decodeAudioData`, with its failures tagged as decode errors for
+ * `describeError`.
+ */
+export async function decodeAudio(context, arrayBuffer) {
+  try {
+    return await context.decodeAudioData(arrayBuffer);
+  } catch (error) {
+    throw Object.assign(error instanceof Error ? error : new Error(String(error)), { kind: "decode" });
+  }
+}
+
+/**
+ * Decode an audio or video file to mono Float32 samples at the given rate.
+ * The browser's decoder handles the container and resampling; we just
+ * downmix the channels.
+ */
+export async function decodeAudioFile(file, sampleRate) {
+  const arrayBuffer = await file.arrayBuffer();
+
+  // The length of an OfflineAudioContext is irrelevant for decoding, it only
+  // fixes the sample rate the decoded buffer is resampled to.
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const decoded = await decodeAudio(context, arrayBuffer);
+
+  return downmix(decoded);
+}
+
+/**
+ * Average all channels of an AudioBuffer into a single Float32Array.
+ */
+export function downmix(audioBuffer) {
+  const { numberOfChannels, length } = audioBuffer;
+  if (numberOfChannels === 1) {
+    return audioBuffer.getChannelData(0);
+  }
+
+  const mono = new Float32Array(length);
+  for (let c = 0; c < numberOfChannels; ++c) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < length; ++i) {
+      mono[i] += data[i];
+    }
+  }
+  for (let i = 0; i < length; ++i) {
+    mono[i] /= numberOfChannels;
+  }
+  return mono;
+}
+
+// addModule must only run once per context, or registerProcessor throws
+const contextsWithWorklet = new WeakSet();
+
+/**
+ * Stream raw PCM from a MediaStream through the capture worklet, calling
+ * `onData` with Float32Array batches at the context's sample rate.
+ * Returns a function that stops the capture.
+ */
+export async function startPcmCapture(audioContext, stream, onData) {
+  if (!contextsWithWorklet.has(audioContext)) {
+    await audioContext.audioWorklet.addModule(pcmWorkletUrl);
+    contextsWithWorklet.add(audioContext);
+  }
+
+  const source = audioContext.createMediaStreamSource(stream);
+  // No outputs: the node only reads, but is still rendered every quantum
+  const node = new AudioWorkletNode(audioContext, "pcm-capture", {
+    numberOfOutputs: 0,
+  });
+  node.port.onmessage = (e) => onData(e.data);
+  source.connect(node);
+
+  return () => {
+    source.disconnect();
+    node.disconnect();
+    node.port.onmessage = null;
+    // Otherwise the processor keeps the node alive on the shared context
+    node.port.postMessage("stop");
+  };
+}
+
+// A sample this close to full scale is clipped
+const CLIP_LEVEL = 0.99;
+// How long a clip keeps the warning up, so it can be read
+const CLIP_HOLD_MS = 1500;
+// Speech peaks well above this, so a long stretch below it means the
+// microphone is too far away or its gain too low
+const QUIET_PEAK_DB = -35;
+const QUIET_AFTER_MS = 5000;
+
+function toDb(amplitude) {
+  return 20 * Math.log10(amplitude + 1e-10);
+}
+
+/**
+ * Input level of a live stream, measured from blocks of samples, with
+ * warnings for clipping and for input that stays too quiet.
+ */
+export class InputLevel {
+  constructor() {
+    this.clippedAt = -Infinity;
+    this.loudAt = null;
+  }
+
+  /**
+   * Measure `samples`, taken at `now` (ms). Levels are in dBFS.
+   */
+  push(samples, now) {
+    let peak = 0;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = samples[i];
+      peak = Math.max(peak, Math.abs(value));
+      sum += value * value;
+    }
+    const peakDb = toDb(peak);
+    if (peak >= CLIP_LEVEL) this.clippedAt = now;
+    if (this.loudAt === null || peakDb > QUIET_PEAK_DB) this.loudAt = now;
+
+    return {
+      rms: toDb(Math.sqrt(sum / samples.length)),
+      peak: peakDb,
+      clipping: now - this.clippedAt < CLIP_HOLD_MS,
+      tooQuiet: now - this.loudAt > QUIET_AFTER_MS,
+    };
+  }
+}
+
+/**
+ * Ask the user to share a tab or screen, and return the stream if it has
+ * audio. Browsers only share audio along with video, which is left unused.
+ */
+export async function captureDisplayAudio() {
+  const display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+  if (display.getAudioTracks().length === 0) {
+    display.getTracks().forEach((track) => track.stop());
+    throw new Error("The shared tab or screen has no audio");
+  }
+  return display;
+}
+
+/**
+ * Mix the audio of several streams into one through the Web Audio graph.
+ * Returns the mixed stream and a function that takes the graph apart.
+ */
+export function mixStreams(audioContext, streams) {
+  const destination = audioContext.createMediaStreamDestination();
+  const sources = streams.map((stream) => {
+    const source = audioContext.createMediaStreamSource(stream);
+    source.connect(destination);
+    return source;
+  });
+  return {
+    stream: destination.stream,
+    stop: () => sources.forEach((source) => source.disconnect()),
+  };
+}
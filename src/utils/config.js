@@ -0,0 +1,24 @@
+// Deployment settings, read at startup from `config.json` next to
+// `index.html`. A server can rewrite that file (the Docker image does so from
+// environment variables) to switch model sources without a rebuild.
+const DEFAULT_CONFIG = {
+  // URL path of a self-hosted model server, laid out as `<path><hub id>/...`
+  localModelPath: null,
+  // Whether models may be fetched from the Hugging Face Hub
+  allowRemoteModels: true,
+  // Where to load the ONNX Runtime WebAssembly files from, instead of a CDN
+  wasmPath: null,
+};
+
+let configPromise = null;
+
+export function loadConfig() {
+  configPromise ??= fetch(`${import.meta.env.BASE_URL}config.json`, { cache: "no-cache" })
+    .then((response) => (response.ok ? response.json() : {}))
+    .catch((error) => {
+      console.warn("Could not read config.json, using defaults:", error);
+      return {};
+    })
+    .then((config) => ({ ...DEFAULT_CONFIG, ...config }));
+  return configPromise;
+}
@@ -0,0 +1,68 @@
+// Transcription sessions are kept in IndexedDB, on this device only.
+
+const DB_NAME = "transcribe-locally";
+const DB_VERSION = 1;
+const SESSIONS = "sessions";
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSIONS, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+// Run `fn` against the sessions store and resolve with its request's result
+// once the transaction commits.
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SESSIONS, mode);
+    const request = fn(tx.objectStore(SESSIONS));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * All saved sessions, most recently updated first.
+ */
+export async function listSessions() {
+  const sessions = await withStore("readonly", (store) => store.getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getSession(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * Create or update a session, merging `changes` into what is stored.
+ */
+export function saveSession(id, changes) {
+  return withStore("readwrite", (store) => {
+    const get = store.get(id);
+    get.onsuccess = () => {
+      const now = Date.now();
+      store.put({
+        id,
+        title: `Session ${new Date(now).toLocaleString()}`,
+        createdAt: now,
+        ...get.result,
+        ...changes,
+        updatedAt: now,
+      });
+    };
+  });
+}
+
+export function deleteSession(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
@@ -0,0 +1,222 @@
+// Dictation into a document: spoken commands for punctuation and editing,
+// and capitalization that follows the sentence the text lands in.
+//
+// A command is `{ id, phrase, action, text }`, where `action` is one of
+// COMMAND_ACTIONS and `text` is what "insert" puts in.
+const SETTINGS_KEY = "dictation";
+const DOCUMENT_KEY = "dictationDocument";
+
+// "Undo that" goes back this many changes
+const MAX_UNDO = 50;
+
+export const COMMAND_ACTIONS = {
+  insert: "Insert text",
+  deleteSentence: "Delete last sentence",
+  deleteWord: "Delete last word",
+  undo: "Undo last change",
+};
+
+const DEFAULT_COMMANDS = [
+  ["comma", "insert", ","],
+  ["period", "insert", "."],
+  ["full stop", "insert", "."],
+  ["question mark", "insert", "?"],
+  ["exclamation mark", "insert", "!"],
+  ["exclamation point", "insert", "!"],
+  ["colon", "insert", ":"],
+  ["semicolon", "insert", ";"],
+  ["dash", "insert", "–"],
+  ["open bracket", "insert", "("],
+  ["close bracket", "insert", ")"],
+  ["open quote", "insert", "“"],
+  ["close quote", "insert", "”"],
+  ["new line", "insert", "\n"],
+  ["new paragraph", "insert", "\n\n"],
+  ["delete last sentence", "deleteSentence", ""],
+  ["delete last word", "deleteWord", ""],
+  ["undo that", "undo", ""],
+  ["scratch that", "undo", ""],
+];
+
+export function defaultCommands() {
+  return DEFAULT_COMMANDS.map(([phrase, action, text]) => ({ id: crypto.randomUUID(), phrase, action, text }));
+}
+
+export function newCommand() {
+  return { id: crypto.randomUUID(), phrase: "", action: "insert", text: "" };
+}
+
+/**
+ * `{ commands, autoCapitalize }`, with the defaults for anything not saved.
+ */
+export function loadDictationSettings() {
+  const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? "{}");
+  return { autoCapitalize: true, ...saved, commands: saved.commands ?? defaultCommands() };
+}
+
+export function saveDictationSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The dictated document, `{ text, start, end, history }`: its selection
+ * is where dictation goes, and `history` holds the states "undo that"
+ * returns to. Only the text is kept between visits.
+ */
+export function loadDictationDocument() {
+  const text = localStorage.getItem(DOCUMENT_KEY) ?? "";
+  return { text, start: text.length, end: text.length, history: [] };
+}
+
+export function saveDictationDocument({ text }) {
+  localStorage.setItem(DOCUMENT_KEY, text);
+}
+
+const SENTENCE_END = /(^|[.!?]["”')\]]?|\n)\s*[“"([]?$/;
+const ATTACHES_LEFT = /^[,.;:!?)\]}”]/;
+const OPENS = /[\s([{“]$/;
+
+// Commands match whatever the case and punctuation Whisper gave them
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+/**
+ * Commands ready for `applyDictation`, longest phrase first so "new
+ * paragraph" wins over a shorter command it starts with.
+ */
+export function compileCommands(commands) {
+  return commands
+    .map((command) => ({ ...command, words: command.phrase.split(/\s+/).map(normalizeWord).filter(Boolean) }))
+    .filter(({ words }) => words.length > 0)
+    .sort((a, b) => b.words.length - a.words.length);
+}
+
+/**
+ * Split dictated text into runs of text and the commands between them:
+ * `[{ text } | { command }]`.
+ */
+export function parseDictation(text, compiled) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const normalized = words.map(normalizeWord);
+  const parts = [];
+  let run = [];
+  for (let i = 0; i < words.length; ) {
+    const command = compiled.find((c) => c.words.every((word, j) => normalized[i + j] === word));
+    if (command) {
+      if (run.length > 0) parts.push({ text: run.join(" ") });
+      run = [];
+      parts.push({ command });
+      i += command.words.length;
+    } else {
+      run.push(words[i]);
+      i++;
+    }
+  }
+  if (run.length > 0) parts.push({ text: run.join(" ") });
+  // Whisper punctuates the pause before spoken punctuation, which replaces it
+  return parts
+    .map((part, i) => {
+      const next = parts[i + 1]?.command;
+      return part.text && next?.action === "insert" && ATTACHES_LEFT.test(next.text)
+        ? { text: part.text.replace(/[,.;:!?]+$/, "") }
+        : part;
+    })
+    .filter((part) => part.command || part.text);
+}
+
+// Whisper capitalizes the start of every result, which is wrong when it
+// continues a sentence. Words with more capitals, and "I", are left alone.
+function capitalize(text, sentenceStart) {
+  const [first] = text.split(/\s/, 1);
+  if (sentenceStart) return text.charAt(0).toUpperCase() + text.slice(1);
+  if (/^I\b/.test(first) || first.slice(1) !== first.slice(1).toLowerCase()) return text;
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+// Put text in at the cursor, spaced like prose
+function insert(doc, text, { autoCapitalize, fromCommand }) {
+  let before = doc.text.slice(0, doc.start);
+  const after = doc.text.slice(doc.start);
+  if (ATTACHES_LEFT.test(text) || text.startsWith("\n")) {
+    before = before.replace(/[ \t]+$/, "");
+    // Spoken punctuation replaces what Whisper put there
+    if (/^[,.;:!?]/.test(text)) before = before.replace(/[,.;:!?]+$/, "");
+  } else if (before && !OPENS.test(before)) {
+    text = ` ${text}`;
+  }
+  if (autoCapitalize && !fromCommand) {
+    const trimmed = text.trimStart();
+    text = text.slice(0, text.length - trimmed.length) + capitalize(trimmed, SENTENCE_END.test(before));
+  }
+  if (after && /^[\p{L}\p{N}]/u.test(after) && !/[\s([{“]$/.test(text)) text += " ";
+  const cursor = before.length + text.length;
+  return { text: before + text + after, start: cursor, end: cursor };
+}
+
+// Remove back to the start of the sentence, or the word, before the cursor
+function deleteBack(doc, unit) {
+  const before = doc.text.slice(0, doc.start).replace(/\s+$/, "");
+  let cut;
+  if (unit === "word") {
+    cut = before.replace(/\S+$/, "").length;
+  } else {
+    // The sentence's own full stop doesn't end it
+    const body = before.replace(/[.!?]["”')\]]?$/, "");
+    const boundary = Math.max(
+      body.lastIndexOf("\n") + 1,
+      ...[...body.matchAll(/[.!?]["”')\]]?\s+/g)].map((match) => match.index + match[0].length),
+    );
+    cut = boundary;
+  }
+  const kept = doc.text.slice(0, cut).replace(/[ \t]+$/, "");
+  const after = doc.text.slice(doc.start).replace(/^[ \t]+/, "");
+  const joiner = kept && after && !/\s$/.test(kept) ? " " : "";
+  return { text: kept + joiner + after, start: kept.length, end: kept.length };
+}
+
+/**
+ * The document with dictated text applied at its selection: text is
+ * inserted, replacing anything selected, and commands run in order. Each
+ * change can be undone with an "undo" command.
+ */
+export function applyDictation(doc, dictated, compiled, { autoCapitalize = true } = {}) {
+  let state = { text: doc.text, start: doc.start, end: doc.end };
+  let history = doc.history;
+  // Each change first removes any selected text, which it replaces
+  const change = (edit) => {
+    const collapsed =
+      state.end > state.start
+        ? { text: state.text.slice(0, state.start) + state.text.slice(state.end), start: state.start, end: state.start }
+        : state;
+    history = [...history, state].slice(-MAX_UNDO);
+    state = edit(collapsed);
+  };
+
+  for (const part of parseDictation(dictated, compiled)) {
+    if (part.text) {
+      change((s) => insert(s, part.text, { autoCapitalize }));
+      continue;
+    }
+    const { action, text } = part.command;
+    if (action === "insert") {
+      change((s) => insert(s, text, { autoCapitalize, fromCommand: true }));
+    } else if (action === "deleteSentence") {
+      change((s) => deleteBack(s, "sentence"));
+    } else if (action === "deleteWord") {
+      change((s) => deleteBack(s, "word"));
+    } else if (action === "undo" && history.length > 0) {
+      state = history.at(-1);
+      history = history.slice(0, -1);
+    }
+  }
+  return { ...state, history };
+}
+
+/**
+ * Go back to the document before the last dictated change.
+ */
+export function undoDictation(doc) {
+  if (doc.history.length === 0) return doc;
+  return { ...doc.history.at(-1), history: doc.history.slice(0, -1) };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+
+import { applyDictation, compileCommands, defaultCommands, parseDictation, undoDictation } from "./dictation";
+
+const commands = compileCommands(defaultCommands());
+
+const doc = (text, start = text.length, end = start) => ({ text, start, end, history: [] });
+const dictate = (document, text, options) => applyDictation(document, text, commands, options);
+
+describe("compileCommands", () => {
+  it("puts longer phrases first and skips empty ones", () => {
+    const compiled = compileCommands([
+      { phrase: "new", action: "insert", text: "+" },
+      { phrase: "  ", action: "insert", text: "-" },
+      { phrase: "New Paragraph", action: "insert", text: "\n\n" },
+    ]);
+    expect(compiled.map(({ words }) => words)).toEqual([["new", "paragraph"], ["new"]]);
+  });
+});
+
+describe("parseDictation", () => {
+  it("splits text from the commands between it, whatever their case and punctuation", () => {
+    const parts = parseDictation("Hello comma world. Period.", commands);
+    expect(parts.map((part) => part.text ?? part.command.phrase)).toEqual(["Hello", "comma", "world", "period"]);
+  });
+
+  it("drops the punctuation Whisper put before spoken punctuation", () => {
+    expect(parseDictation("Wait, question mark", commands)[0]).toEqual({ text: "Wait" });
+  });
+});
+
+describe("applyDictation", () => {
+  it("inserts text and punctuation spaced like prose", () => {
+    expect(dictate(doc(""), "hello comma world period").text).toBe("Hello, world.");
+  });
+
+  it("continues a sentence in lower case, leaving I alone", () => {
+    expect(dictate(doc("We said"), "Then we left.").text).toBe("We said then we left.");
+    expect(dictate(doc("So"), "I think").text).toBe("So I think");
+    expect(dictate(doc("We said"), "Then", { autoCapitalize: false }).text).toBe("We said Then");
+  });
+
+  it("inserts at the cursor, replacing the selection", () => {
+    expect(dictate(doc("Hello world.", 5), "there")).toMatchObject({ text: "Hello there world.", start: 11 });
+    expect(dictate(doc("Hello world.", 6, 11), "there").text).toBe("Hello there.");
+  });
+
+  it("deletes the last sentence or word", () => {
+    expect(dictate(doc("First one. Second one."), "delete last sentence").text).toBe("First one.");
+    expect(dictate(doc("Hello big world"), "delete last word").text).toBe("Hello big");
+  });
+
+  it("undoes the last change on command", () => {
+    expect(dictate(doc("Hi."), "there scratch that").text).toBe("Hi.");
+  });
+});
+
+describe("undoDictation", () => {
+  it("goes back one change at a time", () => {
+    const dictated = dictate(doc(""), "hello comma");
+    expect(dictated.text).toBe("Hello,");
+    expect(undoDictation(dictated).text).toBe("Hello");
+    expect(undoDictation(undoDictation(dictated)).text).toBe("");
+
+    const start = doc("");
+    expect(undoDictation(start)).toBe(start);
+  });
+});
@@ -0,0 +1,57 @@
+// Failures the UI can explain and offer a way out of. Errors are sorted into
+// these by their name and message, which is all a worker can pass on, unless
+// they were tagged with a `kind` where they were thrown.
+export const ERROR_KINDS = {
+  memory: {
+    title: "Out of memory",
+    hint: "The model didn't fit on this device, or the GPU was reset. A smaller model or the CPU backend should work.",
+  },
+  download: {
+    title: "Model download failed",
+    hint: "Check your connection and that the model ID is right, then try again.",
+  },
+  decode: {
+    title: "Could not decode the audio",
+    hint: "The recording or file may be damaged, or in a format this browser can't read.",
+  },
+  permission: {
+    title: "Microphone unavailable",
+    hint: "Allow microphone access in your browser's site settings, or connect a microphone, then try again.",
+  },
+  format: {
+    title: "Formatting failed",
+    hint: "The transcript is unchanged. The formatting model may not fit on this device, or may have failed to download.",
+  },
+  preview: {
+    title: "Live transcription unavailable",
+    hint: "The recording carries on, and is transcribed when you stop it.",
+  },
+  capture: {
+    title: "Could not capture the tab",
+    hint: "Share a tab with \"Share tab audio\" ticked, or the entire screen with system audio. Windows can't share their audio.",
+  },
+  unknown: {
+    title: "Something went wrong",
+    hint: null,
+  },
+};
+
+const PATTERNS = [
+  ["permission", /NotAllowedError|NotFoundError|Permission denied/i],
+  ["memory", /out of memory|\bOOM\b|allocation failed|failed to allocate|bad_alloc|memory access out of bounds|device (?:was |is )?lost/i],
+  // Not just "decod", which ONNX errors about the decoder model also match
+  ["decode", /EncodingError|Unable to decode audio data/i],
+  ["download", /fetch|network|Could not locate file|Unauthorized|\b40[134]\b/i],
+];
+
+/**
+ * Turn a thrown error into a `{ kind, message }` that can be posted from a
+ * worker.
+ */
+export function describeError(error) {
+  const message = error?.message || String(error);
+  if (error?.kind in ERROR_KINDS) return { kind: error.kind, message };
+  const text = `${error?.name ?? ""} ${message}`;
+  const kind = PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? "unknown";
+  return { kind, message };
+}
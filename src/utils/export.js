@@ -0,0 +1,210 @@
+import packageJson from "../../package.json";
+
+import { segmentsToText } from "./segments";
+
+// Common broadcast caption limits, used for both SubRip and WebVTT: two lines
+// of at most 42 characters, each cue on screen for 1 to 7 seconds.
+const CAPTION_RULES = {
+  maxLineLength: 42,
+  maxLines: 2,
+  minDuration: 1,
+  maxDuration: 7,
+};
+
+export const EXPORT_FORMATS = {
+  srt: { label: "SubRip (.srt)", extension: "srt", mimeType: "application/x-subrip" },
+  vtt: { label: "WebVTT (.vtt)", extension: "vtt", mimeType: "text/vtt" },
+  json: { label: "JSON (.json)", extension: "json", mimeType: "application/json" },
+  txt: { label: "Plain text (.txt)", extension: "txt", mimeType: "text/plain" },
+};
+
+/**
+ * Segments from different sources each start at zero. Captions need one
+ * increasing timeline, so later sources are shifted to follow earlier ones.
+ */
+function toTimeline(segments) {
+  let offset = 0;
+  let sourceEnd = 0;
+  return segments.map((segment, i) => {
+    if (i > 0 && segment.source !== segments[i - 1].source) {
+      offset = sourceEnd;
+    }
+    sourceEnd = Math.max(sourceEnd, offset + segment.end);
+    const shift = (t) => t + offset;
+    return {
+      ...segment,
+      start: shift(segment.start),
+      end: shift(segment.end),
+      words: segment.words?.map((word) => ({
+        ...word,
+        start: shift(word.start),
+        end: shift(word.end),
+      })),
+    };
+  });
+}
+
+// Without word timestamps, spread the segment's duration over its words in
+// proportion to their length.
+function estimateWords({ start, end, text }) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const totalChars = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+  let t = start;
+  return tokens.map((token) => {
+    const duration = ((token.length + 1) / totalChars) * (end - start);
+    const word = { start: t, end: t + duration, text: token };
+    t += duration;
+    return word;
+  });
+}
+
+function joinWords(words) {
+  return words.map((word) => word.text.trim()).join(" ");
+}
+
+/**
+ * Split segments into cues that respect the caption length and duration
+ * limits, breaking only between words. Cues keep their segment's speaker;
+ * with `nameSpeakers`, a cue that changes speaker starts with their name,
+ * which counts towards the line length.
+ */
+function toCues(segments, rules, { nameSpeakers = false } = {}) {
+  const cues = [];
+
+  for (const segment of toTimeline(segments)) {
+    const words = segment.words ?? estimateWords(segment);
+    const speaker = segment.speakerLabel;
+    // Name the speaker at each change of speaker, as subtitles usually do
+    let label =
+      nameSpeakers && speaker !== undefined && speaker !== cues.at(-1)?.speaker ? `${speaker}: ` : "";
+    let current = [];
+    for (const word of words) {
+      if (
+        current.length > 0 &&
+        (wrapLines(label + joinWords([...current, word]), rules) === null ||
+          word.end - current[0].start > rules.maxDuration)
+      ) {
+        cues.push({ words: current, speaker, text: label + joinWords(current) });
+        current = [];
+        label = "";
+      }
+      current.push(word);
+    }
+    if (current.length > 0) cues.push({ words: current, speaker, text: label + joinWords(current) });
+  }
+
+  return cues.map(({ words, speaker, text }, i) => {
+    const start = words[0].start;
+    let end = words[words.length - 1].end;
+    // Stretch short cues to the minimum, without overlapping the next one
+    if (end - start < rules.minDuration) {
+      const nextStart = cues[i + 1]?.words[0].start ?? Infinity;
+      end = Math.max(end, Math.min(start + rules.minDuration, nextStart));
+    }
+    // A single word can be too long for any line
+    return { start, end, speaker, text: wrapLines(text, rules) ?? text };
+  });
+}
+
+/**
+ * Break text into at most `maxLines` lines of at most `maxLineLength`
+ * characters, as balanced as they can be, or null if it doesn't fit.
+ */
+function wrapLines(text, { maxLineLength, maxLines }) {
+  if (text.length <= maxLineLength) return text;
+  if (maxLines <= 1) return null;
+
+  // Try the spaces closest to where balanced lines would break first
+  const target = text.length / maxLines;
+  const breaks = [...text.matchAll(/ /g)]
+    .map((match) => match.index)
+    .filter((i) => i <= maxLineLength)
+    .sort((a, b) => Math.abs(a - target) - Math.abs(b - target));
+  for (const i of breaks) {
+    const rest = wrapLines(text.slice(i + 1), { maxLineLength, maxLines: maxLines - 1 });
+    if (rest !== null) return `${text.slice(0, i)}\n${rest}`;
+  }
+  return null;
+}
+
+// Format seconds as `HH:MM:SS<separator>mmm`
+function formatCueTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => n.toString().padStart(width, "0");
+  return (
+    `${pad(Math.floor(ms / 3_600_000))}:${pad(Math.floor(ms / 60_000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+  );
+}
+
+export function toSrt(segments) {
+  return toCues(segments, CAPTION_RULES, { nameSpeakers: true })
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatCueTime(cue.start, ",")} --> ${formatCueTime(cue.end, ",")}\n${cue.text}\n`,
+    )
+    .join("\n");
+}
+
+// Cue text is markup in WebVTT
+function escapeVtt(text) {
+  return text.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
+
+// WebVTT has voice spans for speakers, so every cue can carry one
+export function toVtt(segments) {
+  const cues = toCues(segments, CAPTION_RULES).map((cue) => {
+    const text = escapeVtt(cue.text);
+    const voiced = cue.speaker !== undefined ? `<v ${escapeVtt(cue.speaker)}>${text}` : text;
+    return `${formatCueTime(cue.start, ".")} --> ${formatCueTime(cue.end, ".")}\n${voiced}\n`;
+  });
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+export function toJson(segments, { model, language }) {
+  return JSON.stringify(
+    {
+      app: packageJson.name,
+      version: packageJson.version,
+      model,
+      language,
+      exportedAt: new Date().toISOString(),
+      text: segmentsToText(segments),
+      segments: segments.map(
+        ({ source, speakerLabel, language, languageConfidence, start, end, text, words }) => ({
+          source,
+          ...(speakerLabel && { speaker: speakerLabel }),
+          ...(language && { language, languageConfidence }),
+          start,
+          end,
+          text,
+          ...(words && { words }),
+        }),
+      ),
+    },
+    null,
+    2,
+  );
+}
+
+export function toTxt(segments) {
+  return segmentsToText(segments) + "\n";
+}
+
+const SERIALIZERS = { srt: toSrt, vtt: toVtt, json: toJson, txt: toTxt };
+
+/**
+ * Serialize the transcript and hand it to the browser as a download.
+ */
+export function downloadTranscript(format, segments, meta) {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const content = SERIALIZERS[format](segments, meta);
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${meta.filename ?? "transcript"}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+
+import { toSrt, toTxt, toVtt } from "./export";
+
+const segment = (text, start, end, source = "Recording") => ({ source, start, end, text });
+
+// The text lines of each SubRip cue, without its number and timing
+const cueLines = (srt) => srt.split("\n\n").map((cue) => cue.split("\n").slice(2).filter(Boolean));
+
+describe("toSrt", () => {
+  it("numbers cues and times them with a comma before the milliseconds", () => {
+    expect(toSrt([segment("Hello world", 0, 1.5), segment("Again", 61.25, 63)])).toBe(
+      "1\n00:00:00,000 --> 00:00:01,500\nHello world\n\n" + "2\n00:01:01,250 --> 00:01:03,000\nAgain\n",
+    );
+  });
+
+  it("stretches short cues to a second without overlapping the next", () => {
+    expect(toSrt([segment("One", 0, 0.2), segment("Two", 0.5, 0.7)])).toBe(
+      "1\n00:00:00,000 --> 00:00:00,500\nOne\n\n" + "2\n00:00:00,500 --> 00:00:01,500\nTwo\n",
+    );
+  });
+
+  it("puts later sources after earlier ones on one timeline", () => {
+    const srt = toSrt([segment("First", 0, 2, "a.mp3"), segment("Second", 0, 2, "b.mp3")]);
+    expect(srt).toContain("00:00:02,000 --> 00:00:04,000\nSecond");
+  });
+
+  it("keeps every cue within two lines of 42 characters", () => {
+    const text = Array.from({ length: 40 }, (_, i) => `word${i}`).join(" ");
+    for (const lines of cueLines(toSrt([segment(text, 0, 6)]))) {
+      expect(lines.length).toBeLessThanOrEqual(2);
+      for (const line of lines) expect(line.length).toBeLessThanOrEqual(42);
+    }
+  });
+
+  it("breaks lines where both fit, not just nearest the middle", () => {
+    const text = `${"a".repeat(10)} ${"b".repeat(33)} ${"c".repeat(30)}`;
+    expect(cueLines(toSrt([segment(text, 0, 3)]))).toEqual([
+      ["a".repeat(10), "b".repeat(33)],
+      ["c".repeat(30)],
+    ]);
+  });
+
+  it("splits cues longer than seven seconds", () => {
+    const srt = toSrt([
+      {
+        source: "Recording",
+        start: 0,
+        end: 10,
+        text: "Slow speech",
+        words: [
+          { text: " Slow", start: 0, end: 5 },
+          { text: " speech", start: 8, end: 10 },
+        ],
+      },
+    ]);
+    expect(cueLines(srt)).toEqual([["Slow"], ["speech"]]);
+  });
+
+  it("names the speaker when they change, within the line length", () => {
+    const text = Array.from({ length: 14 }, (_, i) => `word${i}`).join(" ");
+    const srt = toSrt([
+      { ...segment(text, 0, 6), speakerLabel: "Speaker 1" },
+      { ...segment("More", 6, 7), speakerLabel: "Speaker 1" },
+      { ...segment("Reply", 7, 8), speakerLabel: "Speaker 2" },
+    ]);
+    const cues = cueLines(srt);
+    expect(cues[0][0].startsWith("Speaker 1: word0")).toBe(true);
+    expect(cues.slice(1, -1).flat().join(" ")).not.toContain("Speaker 1:");
+    expect(cues.at(-1)).toEqual(["Speaker 2: Reply"]);
+    for (const line of cues.flat()) expect(line.length).toBeLessThanOrEqual(42);
+  });
+});
+
+describe("toVtt", () => {
+  it("starts with the WEBVTT header and uses a dot before the milliseconds", () => {
+    expect(toVtt([segment("Hello", 0, 1.5)])).toBe("WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello\n");
+  });
+
+  it("escapes text that would read as markup", () => {
+    expect(toVtt([segment("Fish & chips <3 > salad", 0, 2)])).toContain("Fish &amp; chips &lt;3 &gt; salad");
+  });
+
+  it("gives every cue a voice span, with the name escaped too", () => {
+    expect(toVtt([{ ...segment("Hi", 0, 1), speakerLabel: "Q&A <host>" }])).toContain(
+      "<v Q&amp;A &lt;host&gt;>Hi",
+    );
+  });
+});
+
+describe("toTxt", () => {
+  it("ends with a new line", () => {
+    expect(toTxt([segment("Hello", 0, 1)]).endsWith("\n")).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+// Every language Whisper was trained on, as [code, name] sorted by name
+export const LANGUAGES = [
+  ["af", "Afrikaans"],
+  ["sq", "Albanian"],
+  ["am", "Amharic"],
+  ["ar", "Arabic"],
+  ["hy", "Armenian"],
+  ["as", "Assamese"],
+  ["az", "Azerbaijani"],
+  ["ba", "Bashkir"],
+  ["eu", "Basque"],
+  ["be", "Belarusian"],
+  ["bn", "Bengali"],
+  ["bs", "Bosnian"],
+  ["br", "Breton"],
+  ["bg", "Bulgarian"],
+  ["ca", "Catalan"],
+  ["zh", "Chinese"],
+  ["hr", "Croatian"],
+  ["cs", "Czech"],
+  ["da", "Danish"],
+  ["nl", "Dutch"],
+  ["en", "English"],
+  ["et", "Estonian"],
+  ["fo", "Faroese"],
+  ["fi", "Finnish"],
+  ["fr", "French"],
+  ["gl", "Galician"],
+  ["ka", "Georgian"],
+  ["de", "German"],
+  ["el", "Greek"],
+  ["gu", "Gujarati"],
+  ["ht", "Haitian Creole"],
+  ["ha", "Hausa"],
+  ["haw", "Hawaiian"],
+  ["he", "Hebrew"],
+  ["hi", "Hindi"],
+  ["hu", "Hungarian"],
+  ["is", "Icelandic"],
+  ["id", "Indonesian"],
+  ["it", "Italian"],
+  ["ja", "Japanese"],
+  ["jw", "Javanese"],
+  ["kn", "Kannada"],
+  ["kk", "Kazakh"],
+  ["km", "Khmer"],
+  ["ko", "Korean"],
+  ["lo", "Lao"],
+  ["la", "Latin"],
+  ["lv", "Latvian"],
+  ["ln", "Lingala"],
+  ["lt", "Lithuanian"],
+  ["lb", "Luxembourgish"],
+  ["mk", "Macedonian"],
+  ["mg", "Malagasy"],
+  ["ms", "Malay"],
+  ["ml", "Malayalam"],
+  ["mt", "Maltese"],
+  ["mr", "Marathi"],
+  ["mn", "Mongolian"],
+  ["my", "Myanmar"],
+  ["ne", "Nepali"],
+  ["no", "Norwegian"],
+  ["nn", "Nynorsk"],
+  ["oc", "Occitan"],
+  ["ps", "Pashto"],
+  ["fa", "Persian"],
+  ["pl", "Polish"],
+  ["pt", "Portuguese"],
+  ["pa", "Punjabi"],
+  ["ro", "Romanian"],
+  ["ru", "Russian"],
+  ["sa", "Sanskrit"],
+  ["sr", "Serbian"],
+  ["sn", "Shona"],
+  ["sd", "Sindhi"],
+  ["si", "Sinhala"],
+  ["sk", "Slovak"],
+  ["sl", "Slovenian"],
+  ["so", "Somali"],
+  ["es", "Spanish"],
+  ["su", "Sundanese"],
+  ["sw", "Swahili"],
+  ["sv", "Swedish"],
+  ["tl", "Tagalog"],
+  ["tg", "Tajik"],
+  ["ta", "Tamil"],
+  ["tt", "Tatar"],
+  ["mi", "Te Reo Māori"],
+  ["te", "Telugu"],
+  ["th", "Thai"],
+  ["bo", "Tibetan"],
+  ["tr", "Turkish"],
+  ["tk", "Turkmen"],
+  ["uk", "Ukrainian"],
+  ["ur", "Urdu"],
+  ["uz", "Uzbek"],
+  ["vi", "Vietnamese"],
+  ["cy", "Welsh"],
+  ["yi", "Yiddish"],
+  ["yo", "Yoruba"],
+];
+
+// Lets multilingual models pick the language themselves, per 30 s window
+export const AUTO_DETECT = "auto";
+
+export function languageName(code) {
+  return LANGUAGES.find(([c]) => c === code)?.[1] ?? code;
+}
@@ -0,0 +1,162 @@
+import { WHISPER_SAMPLING_RATE, CHUNK_LENGTH_S, STRIDE_LENGTH_S } from "../constants";
+import { shiftSegments } from "./segments";
+
+const WINDOW_SAMPLES = WHISPER_SAMPLING_RATE * CHUNK_LENGTH_S;
+// Segments ending before this point of a window are final. Anything after
+// it is transcribed again at the start of the next window, with context.
+const COMMIT_TIME = CHUNK_LENGTH_S - STRIDE_LENGTH_S;
+// Tails shorter than this are not worth a transcription pass
+const MIN_TAIL_SAMPLES = WHISPER_SAMPLING_RATE / 2;
+
+/**
+ * Pick the segments of a window result to keep. The next window starts where
+ * the last kept segment ends, so no words are cut in half at the boundary.
+ */
+function commitWindow(segments) {
+  let committed = segments.filter((segment) => segment.end <= COMMIT_TIME);
+  // A single segment spanning the commit point would otherwise stall us
+  if (committed.length === 0 && segments.length > 0) {
+    committed = [segments[0]];
+  }
+  const cutTime = committed.length > 0 ? committed[committed.length - 1].end : COMMIT_TIME;
+  return { committed, cutTime };
+}
+
+/**
+ * Buffers microphone PCM during a recording and hands off overlapping 30 s
+ * windows for final transcription as soon as they fill up. Only the
+ * untranscribed part of the audio is kept, so memory stays bounded no matter
+ * how long the recording runs.
+ */
+export class LongFormSession {
+  constructor(transcribe) {
+    this.transcribe = transcribe;
+    this.chunks = [];
+    this.length = 0;
+    this.offset = 0; // Seconds of audio already committed and dropped
+    this.pending = null; // "window" | "split" | "tail" | null
+    this.pendingLength = 0; // Samples sent for the pending transcription
+    this.stopped = false;
+  }
+
+  push(samples) {
+    if (this.stopped) return;
+    this.chunks.push(samples);
+    this.length += samples.length;
+    this.sendWindow();
+  }
+
+  /**
+   * Stop accepting audio. Returns false if there is nothing left to
+   * transcribe, otherwise the session finishes with a later `handleResult`.
+   */
+  stop() {
+    this.stopped = true;
+    if (this.pending) return true;
+    return this.sendTail();
+  }
+
+  /**
+   * Send everything buffered so far, without waiting for a full window.
+   * Called at a pause in speech, so nothing is cut mid-word and the whole
+   * result can be committed.
+   */
+  split() {
+    if (this.pending || this.stopped || this.length < MIN_TAIL_SAMPLES) return;
+    this.pending = "split";
+    this.pendingLength = this.length;
+    this.transcribe(this.read(this.length));
+  }
+
+  /**
+   * Take the worker's segments for the pending window or tail. Returns the
+   * newly committed segments on the recording's timeline, and whether the
+   * session is finished. Translated segments don't line up with the
+   * original ones, so they are kept if they mostly fall before the cut.
+   */
+  handleResult(segments, translation = []) {
+    // Tails and splits end where the audio sent ends, so all of it is final
+    const sentLength = this.pending === "window" ? null : this.pendingLength;
+
+    const { committed, cutTime } = sentLength !== null
+      ? { committed: segments, cutTime: sentLength / WHISPER_SAMPLING_RATE }
+      : commitWindow(segments);
+    const committedTranslation = sentLength !== null
+      ? translation
+      : translation.filter((segment) => (segment.start + segment.end) / 2 < cutTime);
+
+    const result = {
+      segments: shiftSegments(committed, this.offset),
+      translation: shiftSegments(committedTranslation, this.offset),
+    };
+
+    return { ...result, done: this.advance(Math.round(cutTime * WHISPER_SAMPLING_RATE)) };
+  }
+
+  /**
+   * Give up on the pending audio after its transcription failed. All of it
+   * is dropped, like a split, so it can be retried on its own. Returns where
+   * it starts on the recording's timeline, and whether the session is
+   * finished.
+   */
+  skip() {
+    const offset = this.offset;
+    return { offset, done: this.advance(this.pendingLength) };
+  }
+
+  // Drop the finished part of the pending audio and send the next window
+  advance(count) {
+    const isTail = this.pending === "tail";
+    this.pending = null;
+    this.drop(count);
+    this.offset += count / WHISPER_SAMPLING_RATE;
+
+    if (isTail) return true;
+    if (this.stopped) return !this.sendTail();
+    this.sendWindow();
+    return false;
+  }
+
+  sendWindow() {
+    if (this.pending || this.stopped || this.length < WINDOW_SAMPLES) return;
+    this.pending = "window";
+    this.pendingLength = WINDOW_SAMPLES;
+    this.transcribe(this.read(WINDOW_SAMPLES));
+  }
+
+  sendTail() {
+    if (this.length < MIN_TAIL_SAMPLES) return false;
+    this.pending = "tail";
+    this.pendingLength = this.length;
+    this.transcribe(this.read(this.length));
+    return true;
+  }
+
+  // Copy out the first `count` samples of the buffer
+  read(count) {
+    const out = new Float32Array(count);
+    let position = 0;
+    for (const chunk of this.chunks) {
+      if (position >= count) break;
+      const part = chunk.subarray(0, count - position);
+      out.set(part, position);
+      position += part.length;
+    }
+    return out;
+  }
+
+  drop(count) {
+    count = Math.min(count, this.length);
+    this.length -= count;
+    while (count > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= count) {
+        this.chunks.shift();
+        count -= chunk.length;
+      } else {
+        this.chunks[0] = chunk.subarray(count);
+        count = 0;
+      }
+    }
+  }
+}
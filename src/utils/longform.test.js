@@ -0,0 +1,109 @@
+import { describe, expect, it, vi } from "vitest";
+
+import { WHISPER_SAMPLING_RATE } from "../constants";
+import { LongFormSession } from "./longform";
+
+// `duration` seconds of audio whose samples hold the second they fall in,
+// counting from `from`, so windows can be checked by their first sample
+function audio(duration, from = 0) {
+  const samples = new Float32Array(duration * WHISPER_SAMPLING_RATE);
+  return samples.map((_, i) => from + Math.floor(i / WHISPER_SAMPLING_RATE));
+}
+
+const segment = (start, end) => ({ start, end, text: `${start}-${end}` });
+
+describe("LongFormSession", () => {
+  it("sends a window once 30 s of audio has arrived", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(audio(29));
+    expect(transcribe).not.toHaveBeenCalled();
+
+    session.push(audio(2, 29));
+    expect(transcribe).toHaveBeenCalledTimes(1);
+    expect(transcribe.mock.calls[0][0]).toHaveLength(30 * WHISPER_SAMPLING_RATE);
+  });
+
+  it("commits segments that end before the overlap, and starts the next window where they end", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(audio(50));
+
+    const first = session.handleResult([segment(0, 10), segment(10, 24), segment(24, 29)]);
+    expect(first.segments).toEqual([segment(0, 10), segment(10, 24)]);
+    expect(first.done).toBe(false);
+
+    // 26 s are left, so the next window waits for more audio
+    expect(transcribe).toHaveBeenCalledTimes(1);
+    session.push(audio(4, 50));
+    expect(transcribe).toHaveBeenCalledTimes(2);
+    expect(transcribe.mock.calls[1][0][0]).toBe(24);
+
+    const second = session.handleResult([{ ...segment(0, 5), words: [{ text: " hi", start: 1, end: 2 }] }]);
+    expect(second.segments).toEqual([{ start: 24, end: 29, text: "0-5", words: [{ text: " hi", start: 25, end: 26 }] }]);
+  });
+
+  it("commits a segment that spans the overlap rather than stalling", () => {
+    const session = new LongFormSession(vi.fn());
+    session.push(audio(30));
+    expect(session.handleResult([segment(0, 28)]).segments).toEqual([segment(0, 28)]);
+  });
+
+  it("sends the rest as a tail on stop, and finishes with its result", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(audio(10));
+
+    expect(session.stop()).toBe(true);
+    expect(transcribe.mock.calls[0][0]).toHaveLength(10 * WHISPER_SAMPLING_RATE);
+    expect(session.handleResult([segment(0, 9.5)])).toMatchObject({ segments: [segment(0, 9.5)], done: true });
+
+    // Audio after stopping is ignored
+    session.push(audio(30));
+    expect(transcribe).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits for the pending window before sending the tail", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(audio(35));
+    expect(session.stop()).toBe(true);
+    expect(transcribe).toHaveBeenCalledTimes(1);
+
+    expect(session.handleResult([segment(0, 20)]).done).toBe(false);
+    expect(transcribe).toHaveBeenCalledTimes(2);
+    expect(transcribe.mock.calls[1][0]).toHaveLength(15 * WHISPER_SAMPLING_RATE);
+    expect(transcribe.mock.calls[1][0][0]).toBe(20);
+
+    expect(session.handleResult([segment(0, 14)])).toMatchObject({
+      segments: [{ start: 20, end: 34, text: "0-14" }],
+      done: true,
+    });
+  });
+
+  it("commits all of the audio sent at a pause, and carries on after it", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(audio(5));
+    session.split();
+    expect(transcribe.mock.calls[0][0]).toHaveLength(5 * WHISPER_SAMPLING_RATE);
+
+    // Audio arriving meanwhile waits for the next split
+    session.push(audio(3, 5));
+    session.split();
+    expect(transcribe).toHaveBeenCalledTimes(1);
+
+    expect(session.handleResult([segment(0, 4.8)])).toMatchObject({ segments: [segment(0, 4.8)], done: false });
+    session.split();
+    expect(transcribe.mock.calls[1][0]).toHaveLength(3 * WHISPER_SAMPLING_RATE);
+    expect(transcribe.mock.calls[1][0][0]).toBe(5);
+  });
+
+  it("finishes straight away when too little is left to transcribe", () => {
+    const transcribe = vi.fn();
+    const session = new LongFormSession(transcribe);
+    session.push(new Float32Array(WHISPER_SAMPLING_RATE / 4));
+    expect(session.stop()).toBe(false);
+    expect(transcribe).not.toHaveBeenCalled();
+  });
+});
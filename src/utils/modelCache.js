@@ -0,0 +1,120 @@
+import { CONFIG_FILES, fetchModelFiles } from "./models";
+
+// transformers.js keeps every file it downloads in this Cache Storage cache,
+// keyed by its Hub URL, or its URL on a self-hosted model server
+const CACHE_NAME = "transformers-cache";
+const HUB_URL = /^https:\/\/huggingface\.co\/(.+?)\/resolve\/[^/]+\/(.+)$/;
+// Model files sit at the top of a repo or in its onnx/ folder
+const LOCAL_PATH = /^(.+?)\/((?:onnx\/)?[^/]+)$/;
+// When each model was last loaded, by Hub ID. Cache Storage keeps no dates.
+const LAST_USED_KEY = "modelLastUsed";
+
+function hubUrl(id, file) {
+  return `https://huggingface.co/${id}/resolve/main/${file}`;
+}
+
+// Find the model ID and file name of a cached file
+function parseCacheUrl(url, localModelPath) {
+  const hub = HUB_URL.exec(url);
+  if (hub) return { id: hub[1], file: hub[2] };
+  if (!localModelPath) return null;
+  const prefix = new URL(localModelPath, location.href).href;
+  const local = url.startsWith(prefix) && LOCAL_PATH.exec(url.slice(prefix.length));
+  return local ? { id: local[1], file: local[2] } : null;
+}
+
+function readLastUsed() {
+  return JSON.parse(localStorage.getItem(LAST_USED_KEY) ?? "{}");
+}
+
+export function markModelUsed(id) {
+  localStorage.setItem(LAST_USED_KEY, JSON.stringify({ ...readLastUsed(), [id]: Date.now() }));
+}
+
+async function responseSize(response) {
+  const length = response.headers.get("content-length");
+  return length ? Number(length) : (await response.blob()).size;
+}
+
+/**
+ * Everything in the model cache, grouped by Hub ID:
+ * `{ id, files: [{ file, size }], size, lastUsed }`, largest first.
+ */
+export async function listCachedModels(localModelPath = null) {
+  if (!("caches" in self)) return [];
+  const cache = await caches.open(CACHE_NAME);
+  const lastUsed = readLastUsed();
+  const models = new Map();
+  for (const request of await cache.keys()) {
+    const parsed = parseCacheUrl(request.url, localModelPath);
+    if (!parsed) continue;
+    const { id, file } = parsed;
+    const response = await cache.match(request);
+    if (!models.has(id)) {
+      models.set(id, { id, files: [], size: 0, lastUsed: lastUsed[id] ?? null });
+    }
+    const model = models.get(id);
+    const size = await responseSize(response);
+    model.files.push({ file, size });
+    model.size += size;
+  }
+  return [...models.values()].sort((a, b) => b.size - a.size);
+}
+
+export async function deleteCachedModel(id, localModelPath = null) {
+  const cache = await caches.open(CACHE_NAME);
+  for (const request of await cache.keys()) {
+    if (parseCacheUrl(request.url, localModelPath)?.id === id) await cache.delete(request);
+  }
+  const lastUsed = readLastUsed();
+  delete lastUsed[id];
+  localStorage.setItem(LAST_USED_KEY, JSON.stringify(lastUsed));
+}
+
+// Read a response body, reporting progress like transformers.js does
+async function readWithProgress(response, onProgress) {
+  const total = Number(response.headers.get("content-length")) || NaN;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total, progress: total ? (loaded / total) * 100 : 0 });
+  }
+  return new Blob(chunks);
+}
+
+/**
+ * Download a model's files for `device` into the cache without loading it,
+ * so it is ready to use offline. Reports `initiate`, `progress` and `done`
+ * items in the same shape as transformers.js.
+ */
+export async function downloadModel(model, device, progress_callback = () => {}) {
+  const weights = await fetchModelFiles(model, device);
+  if (!weights) throw new Error(`Could not list the files of ${model.id}`);
+
+  const cache = await caches.open(CACHE_NAME);
+  const files = [...CONFIG_FILES, ...weights.map(({ path }) => path)];
+  for (const file of files) {
+    const url = hubUrl(model.id, file);
+    if (await cache.match(url)) continue;
+
+    const item = { name: model.id, file };
+    progress_callback({ status: "initiate", ...item });
+    const response = await fetch(url);
+    if (response.status === 404 && CONFIG_FILES.includes(file)) {
+      // Optional config that this export doesn't have
+      progress_callback({ status: "done", ...item });
+      continue;
+    }
+    if (!response.ok) throw new Error(`Could not download ${url} (${response.status})`);
+    const body = await readWithProgress(response, (progress) =>
+      progress_callback({ status: "progress", ...item, ...progress }),
+    );
+    await cache.put(url, new Response(body, { headers: response.headers }));
+    progress_callback({ status: "done", ...item });
+  }
+}
@@ -0,0 +1,278 @@
+// Whisper checkpoints that run in the browser. `size` is the approximate
+// download for the listed dtypes, `languages` is either "all" (multilingual)
+// or the language codes an English-only model understands.
+const MULTILINGUAL = "all";
+const ENGLISH_ONLY = ["en"];
+
+// The encoder is sensitive to quantization, the decoder much less so
+const DEFAULT_DTYPE = {
+  encoder_model: "fp32", // 'fp16' works too
+  decoder_model_merged: "q4", // or 'fp32' ('fp16' is broken)
+};
+
+export const MODELS = [
+  {
+    key: "tiny",
+    id: "onnx-community/whisper-tiny",
+    label: "Whisper Tiny",
+    size: 120_000_000,
+    languages: MULTILINGUAL,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "tiny.en",
+    id: "onnx-community/whisper-tiny.en",
+    label: "Whisper Tiny (English)",
+    size: 120_000_000,
+    languages: ENGLISH_ONLY,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "base",
+    id: "onnx-community/whisper-base",
+    label: "Whisper Base",
+    size: 200_000_000,
+    languages: MULTILINGUAL,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "base.en",
+    id: "onnx-community/whisper-base.en",
+    label: "Whisper Base (English)",
+    size: 200_000_000,
+    languages: ENGLISH_ONLY,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "small",
+    id: "onnx-community/whisper-small",
+    label: "Whisper Small",
+    size: 580_000_000,
+    languages: MULTILINGUAL,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "small.en",
+    id: "onnx-community/whisper-small.en",
+    label: "Whisper Small (English)",
+    size: 580_000_000,
+    languages: ENGLISH_ONLY,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    key: "medium",
+    id: "onnx-community/whisper-medium-ONNX",
+    label: "Whisper Medium",
+    size: 1_600_000_000,
+    languages: MULTILINGUAL,
+    dtype: DEFAULT_DTYPE,
+  },
+  {
+    // A four-layer decoder makes this nearly as fast as Small. Its encoder
+    // is too big for fp32.
+    key: "large-v3-turbo",
+    id: "onnx-community/whisper-large-v3-turbo",
+    label: "Whisper Large v3 Turbo",
+    size: 1_550_000_000,
+    languages: MULTILINGUAL,
+    dtype: { encoder_model: "fp16", decoder_model_merged: "q4" },
+  },
+  {
+    // The distil-whisper exports ship 8-bit rather than 4-bit decoders
+    key: "distil-small.en",
+    id: "distil-whisper/distil-small.en",
+    label: "Distil-Whisper Small (English)",
+    size: 400_000_000,
+    languages: ENGLISH_ONLY,
+    dtype: { encoder_model: "fp32", decoder_model_merged: "q8" },
+  },
+  {
+    key: "distil-medium.en",
+    id: "distil-whisper/distil-medium.en",
+    label: "Distil-Whisper Medium (English)",
+    size: 1_300_000_000,
+    languages: ENGLISH_ONLY,
+    dtype: { encoder_model: "fp32", decoder_model_merged: "q8" },
+  },
+];
+
+export const DEFAULT_MODEL = "base";
+
+// The other models the worker loads: one for the formatting pass and two for
+// speaker diarization
+export const FORMATTER_MODEL_ID = "onnx-community/Qwen2.5-0.5B-Instruct";
+export const SEGMENTATION_MODEL_ID = "onnx-community/pyannote-segmentation-3.0";
+export const EMBEDDING_MODEL_ID = "Xenova/wavlm-base-plus-sv";
+
+export const DEVICES = {
+  auto: "Auto",
+  webgpu: "WebGPU",
+  wasm: "CPU (WASM)",
+};
+
+export const IS_WEBGPU_AVAILABLE = typeof navigator !== "undefined" && !!navigator.gpu;
+
+/**
+ * Pick the backend for the "auto" setting, and never ask for WebGPU where
+ * the browser doesn't have it.
+ */
+export function resolveDevice(device) {
+  return device === "wasm" || !IS_WEBGPU_AVAILABLE ? "wasm" : "webgpu";
+}
+
+// The WASM backend has fast 8-bit kernels, but fp32 and 4-bit weights are
+// slow on the CPU, so every component is quantized there.
+const WASM_DTYPE = {
+  encoder_model: "q8",
+  decoder_model_merged: "q8",
+};
+
+export function getDtype(model, device) {
+  return device === "wasm" ? WASM_DTYPE : model.dtype;
+}
+
+// Rough seconds of audio transcribed per second by Whisper Base. Bigger
+// models slow down about in proportion to their download size.
+const BASE_SPEED = { webgpu: 20, wasm: 2.5 };
+
+/**
+ * Estimate how many times faster than real time a model runs on a device.
+ */
+export function estimateSpeed(model, device) {
+  const base = MODELS.find((entry) => entry.key === DEFAULT_MODEL);
+  return (BASE_SPEED[device] * base.size) / (model.size ?? base.size);
+}
+
+// How many times slower the CPU is than the GPU for the same model
+export const WASM_SLOWDOWN = Math.round(BASE_SPEED.webgpu / BASE_SPEED.wasm);
+
+const CUSTOM_PREFIX = "custom:";
+
+/**
+ * Model IDs that look like paths or URLs are loaded from the app's own
+ * server instead of the Hugging Face Hub.
+ */
+export function isLocalPath(id) {
+  return /^(\.{0,2}\/|https?:\/\/)/.test(id);
+}
+
+/**
+ * Build a registry entry for a model the user added by Hub ID or local path.
+ * Nothing is known about it up front, so assume a multilingual Whisper export
+ * with the usual dtypes.
+ */
+export function customModel(id) {
+  return {
+    key: CUSTOM_PREFIX + id,
+    id,
+    label: id,
+    size: null,
+    languages: MULTILINGUAL,
+    dtype: DEFAULT_DTYPE,
+    custom: true,
+    local: isLocalPath(id),
+  };
+}
+
+export function getModel(key, customModels = []) {
+  return (
+    MODELS.find((model) => model.key === key) ??
+    customModels.find((model) => model.key === key) ??
+    MODELS.find((model) => model.key === DEFAULT_MODEL)
+  );
+}
+
+export function isMultilingual(model) {
+  return model.languages === MULTILINGUAL;
+}
+
+export function supportsLanguage(model, language) {
+  return isMultilingual(model) || model.languages.includes(language);
+}
+
+/**
+ * The largest registry model smaller than `model` that still handles
+ * `language`, for when a model doesn't fit on the device. Models of the same
+ * kind (English-only or multilingual) win ties. Null if there is none.
+ */
+export function smallerModel(model, language) {
+  const candidates = MODELS.filter(
+    (candidate) => candidate.size < (model.size ?? Infinity) && supportsLanguage(candidate, language),
+  );
+  const sameKind = (candidate) => isMultilingual(candidate) === isMultilingual(model);
+  candidates.sort((a, b) => b.size - a.size || sameKind(b) - sameKind(a));
+  return candidates[0] ?? null;
+}
+
+/**
+ * The smallest registry model larger than `model` that handles `language`,
+ * for another go at a passage it got wrong. Null if there is none, or the
+ * size of `model` is unknown.
+ */
+export function largerModel(model, language) {
+  if (!model.size) return null;
+  const candidates = MODELS.filter(
+    (candidate) => candidate.size > model.size && supportsLanguage(candidate, language),
+  );
+  const sameKind = (candidate) => isMultilingual(candidate) === isMultilingual(model);
+  candidates.sort((a, b) => a.size - b.size || sameKind(b) - sameKind(a));
+  return candidates[0] ?? null;
+}
+
+// File name suffixes transformers.js uses for each dtype
+const DTYPE_SUFFIXES = {
+  fp32: "",
+  fp16: "_fp16",
+  q8: "_quantized",
+  int8: "_int8",
+  uint8: "_uint8",
+  q4: "_q4",
+  q4f16: "_q4f16",
+  bnb4: "_bnb4",
+};
+
+// Small files every Whisper export needs besides the weights. Not all of
+// them exist in every repo.
+export const CONFIG_FILES = [
+  "config.json",
+  "generation_config.json",
+  "preprocessor_config.json",
+  "tokenizer.json",
+  "tokenizer_config.json",
+];
+
+/**
+ * List the ONNX files, as `{ path, size }`, that a Hub model's dtypes select.
+ * Resolves to null when the Hub can't be reached.
+ */
+export async function fetchModelFiles(model, device = "webgpu") {
+  if (model.local) return null;
+  try {
+    const response = await fetch(`https://huggingface.co/api/models/${model.id}/tree/main/onnx`);
+    if (!response.ok) return null;
+    const files = await response.json();
+    const wanted = Object.entries(getDtype(model, device)).map(
+      ([component, dtype]) => `onnx/${component}${DTYPE_SUFFIXES[dtype]}.onnx`,
+    );
+    // External weights are stored next to the graph as `<name>.onnx_data`
+    return files
+      .filter(({ path }) => wanted.some((file) => path === file || path.startsWith(`${file}_data`)))
+      .map((file) => ({ path: file.path, size: file.lfs?.size ?? file.size }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look up the download size of a Hub model from the ONNX files its dtypes
+ * select. Resolves to null when the Hub can't be reached.
+ */
+export async function fetchDownloadSize(model, device = "webgpu") {
+  const files = await fetchModelFiles(model, device);
+  const size = files?.reduce((total, file) => total + file.size, 0);
+  return size || null;
+}
+
+export function formatSize(bytes) {
+  return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${Math.round(bytes / 1e6)} MB`;
+}
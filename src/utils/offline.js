@@ -0,0 +1,22 @@
+/**
+ * Register the service worker that keeps the app usable offline. Only in
+ * production builds, since the dev server's modules change on every edit.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    try {
+      await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+      const registration = await navigator.serviceWorker.ready;
+      // Built assets loaded before the worker took over aren't in its cache yet
+      const urls = performance
+        .getEntriesByType("resource")
+        .map(({ name }) => new URL(name))
+        .filter((url) => url.origin === location.origin && url.pathname.includes("/assets/"))
+        .map((url) => url.href);
+      registration.active?.postMessage({ type: "cache-urls", urls });
+    } catch (error) {
+      console.error("Service worker registration failed:", error);
+    }
+  });
+}
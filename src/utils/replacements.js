@@ -0,0 +1,77 @@
+import { textWords } from "./segments";
+
+// Find and replace rules, `[{ id, find, replace, regex, matchCase }]`, run
+// over every finished segment in order
+const RULES_KEY = "replaceRules";
+
+export function loadReplaceRules() {
+  return JSON.parse(localStorage.getItem(RULES_KEY) ?? "[]");
+}
+
+export function saveReplaceRules(rules) {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+}
+
+export function newReplaceRule() {
+  return { id: crypto.randomUUID(), find: "", replace: "", regex: false, matchCase: false };
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * The RegExp for a rule, or an Error if its pattern doesn't compile. Plain
+ * text only matches whole words, so "AI" leaves "said" alone.
+ */
+export function compileRule({ find, regex, matchCase }) {
+  try {
+    return regex
+      ? new RegExp(find, matchCase ? "g" : "gi")
+      : new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(find)}(?![\\p{L}\\p{N}])`, matchCase ? "gu" : "giu");
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Compile the usable rules once, for `applyRules`.
+ */
+export function compileRules(rules) {
+  return rules
+    .filter(({ find }) => find)
+    .map((rule) => ({
+      pattern: compileRule(rule),
+      // `$` only means a group in regex replacements
+      replace: rule.regex ? rule.replace : rule.replace.replaceAll("$", "$$$$"),
+    }))
+    .filter(({ pattern }) => pattern instanceof RegExp);
+}
+
+export function applyRules(text, compiled) {
+  return compiled.reduce((result, { pattern, replace }) => result.replace(pattern, replace), text);
+}
+
+const normalizeSpace = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * Apply rules to the text of each segment. Word timings are kept when the
+ * rules only changed text within words; a rule that spans words drops them.
+ * Confidences, one per word, are dropped if the number of words changes.
+ */
+export function applyRulesToSegments(segments, compiled) {
+  if (compiled.length === 0) return segments;
+  return segments.map((segment) => {
+    const text = applyRules(segment.text, compiled);
+    if (text === segment.text) return segment;
+    const confidences =
+      textWords(text).length === textWords(segment.text).length ? segment.confidences : undefined;
+    if (!segment.words) return { ...segment, text, confidences };
+
+    const words = segment.words.map((word) => ({ ...word, text: applyRules(word.text, compiled) }));
+    const wordsText = normalizeSpace(words.map((word) => word.text).join(""));
+    return wordsText === normalizeSpace(text)
+      ? { ...segment, text, words, confidences }
+      : { ...segment, text, words: undefined, confidences };
+  });
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+
+import { applyRules, applyRulesToSegments, compileRule, compileRules } from "./replacements";
+
+const rule = (find, replace, options = {}) => ({ id: find, find, replace, regex: false, matchCase: false, ...options });
+
+describe("compileRule", () => {
+  it("matches plain text as whole words only", () => {
+    expect("AI said ai".match(compileRule(rule("ai")))).toEqual(["AI", "ai"]);
+    expect("AI said ai".match(compileRule(rule("ai", "", { matchCase: true })))).toEqual(["ai"]);
+  });
+
+  it("returns an error for a pattern that doesn't compile", () => {
+    expect(compileRule(rule("(", "", { regex: true }))).toBeInstanceOf(Error);
+  });
+});
+
+describe("applyRules", () => {
+  it("runs the rules in order, skipping empty and broken ones", () => {
+    const compiled = compileRules([
+      rule("", "x"),
+      rule("(", "x", { regex: true }),
+      rule("gonna", "going to"),
+      rule("going", "heading"),
+    ]);
+    expect(applyRules("We're gonna go", compiled)).toBe("We're heading to go");
+  });
+
+  it("keeps `$` literal in plain replacements and expands groups in regex ones", () => {
+    expect(applyRules("five dollars", compileRules([rule("five dollars", "$5")]))).toBe("$5");
+    expect(applyRules("Smith, John", compileRules([rule("(\\w+), (\\w+)", "$2 $1", { regex: true })]))).toBe(
+      "John Smith",
+    );
+  });
+});
+
+describe("applyRulesToSegments", () => {
+  const segment = {
+    id: 0,
+    start: 0,
+    end: 2,
+    text: "We gonna ship",
+    words: [
+      { text: " We", start: 0, end: 0.5 },
+      { text: " gonna", start: 0.5, end: 1 },
+      { text: " ship", start: 1, end: 2 },
+    ],
+  };
+  const withConfidences = { ...segment, confidences: [0.9, 0.3, 0.8] };
+
+  it("keeps word timings when the rules change text within words", () => {
+    const [result] = applyRulesToSegments([segment], compileRules([rule("ship", "launch")]));
+    expect(result.text).toBe("We gonna launch");
+    expect(result.words.map((word) => word.text)).toEqual([" We", " gonna", " launch"]);
+    expect(result.words[2]).toMatchObject({ start: 1, end: 2 });
+  });
+
+  it("drops word timings when a rule spans words", () => {
+    const [result] = applyRulesToSegments([segment], compileRules([rule("we gonna", "we'll")]));
+    expect(result.text).toBe("we'll ship");
+    expect(result.words).toBeUndefined();
+  });
+
+  it("leaves segments the rules don't change as they were", () => {
+    const segments = [segment];
+    expect(applyRulesToSegments(segments, compileRules([rule("launch", "ship")]))[0]).toBe(segment);
+  });
+
+  it("keeps confidences when the number of words stays the same", () => {
+    const [result] = applyRulesToSegments([withConfidences], compileRules([rule("ship", "launch")]));
+    expect(result.confidences).toEqual([0.9, 0.3, 0.8]);
+  });
+
+  it("drops confidences that would no longer line up with the words", () => {
+    const [result] = applyRulesToSegments([withConfidences], compileRules([rule("gonna", "are going to")]));
+    expect(result.text).toBe("We are going to ship");
+    expect(result.confidences).toBeUndefined();
+  });
+
+  it("drops them without word timings too", () => {
+    const [result] = applyRulesToSegments(
+      [{ ...withConfidences, words: undefined }],
+      compileRules([rule("we gonna", "we'll")]),
+    );
+    expect(result.text).toBe("we'll ship");
+    expect(result.confidences).toBeUndefined();
+  });
+});
@@ -0,0 +1,92 @@
+// Find and replace in transcripts, the current one or saved sessions
+import { compileRule, escapeRegExp } from "./replacements";
+import { editSegmentText, textWords } from "./segments";
+
+/**
+ * The RegExp for a search, or an Error if its pattern doesn't compile.
+ * Plain text matches anywhere unless `wholeWord` is set.
+ */
+export function compileSearch({ query, regex, matchCase, wholeWord }) {
+  if (regex || wholeWord) return compileRule({ find: query, regex, matchCase });
+  return new RegExp(escapeRegExp(query), matchCase ? "g" : "gi");
+}
+
+// When the word a match starts in is spoken, or the segment's start
+// without word timings
+function matchTime(segment, index) {
+  const words = textWords(segment.text);
+  if (segment.words?.length !== words.length) return segment.start;
+  const word = Math.max(0, textWords(segment.text.slice(0, index + 1)).length - 1);
+  return segment.words[word].start;
+}
+
+/**
+ * Every match in the segments, in order:
+ * `[{ segmentId, source, start, end, time }]`, where `start` and `end` are
+ * character indexes into the segment's text.
+ */
+export function findMatches(segments, pattern) {
+  const matches = [];
+  for (const segment of segments) {
+    for (const match of segment.text.matchAll(pattern)) {
+      // Patterns like `a*` also match nothing at all
+      if (match[0] === "") continue;
+      matches.push({
+        segmentId: segment.id,
+        source: segment.source,
+        start: match.index,
+        end: match.index + match[0].length,
+        time: matchTime(segment, match.index),
+      });
+    }
+  }
+  return matches;
+}
+
+// `$` only means a group in regex replacements
+const replacementFor = (replace, regex) => (regex ? replace : replace.replaceAll("$", "$$$$"));
+
+/**
+ * The segments with one match replaced.
+ */
+export function replaceMatch(segments, match, pattern, { replace, regex }) {
+  // Sticky, so it matches only at the match's offset, but still sees the text
+  // around it for anchors, word boundaries and lookarounds
+  const sticky = new RegExp(pattern.source, pattern.flags.replace("g", "") + "y");
+  return segments.map((segment) => {
+    if (segment.id !== match.segmentId) return segment;
+    sticky.lastIndex = match.start;
+    const text = segment.text.replace(sticky, replacementFor(replace, regex));
+    return text.trim() ? editSegmentText(segment, text.trim()) : segment;
+  });
+}
+
+/**
+ * The segments with every match replaced. Segments that would be left empty
+ * are kept as they were.
+ */
+export function replaceAllMatches(segments, pattern, { replace, regex }) {
+  const replacement = replacementFor(replace, regex);
+  return segments.map((segment) => {
+    const text = segment.text.replace(pattern, replacement).trim();
+    return text && text !== segment.text ? editSegmentText(segment, text) : segment;
+  });
+}
+
+/**
+ * Saved sessions that match, most recent first, each with the segments that
+ * match: `[{ session, titleMatch, segments: [{ segment, matches }] }]`.
+ */
+export function searchSessions(sessions, pattern) {
+  const results = [];
+  for (const session of sessions) {
+    const titleMatch = session.title.search(new RegExp(pattern.source, pattern.flags.replace("g", ""))) !== -1;
+    const segments = [];
+    for (const segment of session.segments) {
+      const matches = findMatches([segment], pattern);
+      if (matches.length > 0) segments.push({ segment, matches });
+    }
+    if (titleMatch || segments.length > 0) results.push({ session, titleMatch, segments });
+  }
+  return results;
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+
+import { compileSearch, findMatches, replaceAllMatches, replaceMatch, searchSessions } from "./search";
+
+const search = (query, options = {}) => ({
+  query,
+  replace: "",
+  regex: false,
+  matchCase: false,
+  wholeWord: false,
+  ...options,
+});
+
+const segment = (id, text, extra = {}) => ({ id, source: "Recording", start: id, end: id + 1, text, ...extra });
+
+describe("compileSearch", () => {
+  it("matches plain text anywhere, ignoring case unless asked", () => {
+    expect("Cats and cat.".match(compileSearch(search("cat")))).toEqual(["Cat", "cat"]);
+    expect("Cats and cat.".match(compileSearch(search("cat", { matchCase: true })))).toEqual(["cat"]);
+  });
+
+  it("treats special characters as text unless it is a regex", () => {
+    expect("a.b axb".match(compileSearch(search("a.b")))).toEqual(["a.b"]);
+    expect("a.b axb".match(compileSearch(search("a.b", { regex: true })))).toEqual(["a.b", "axb"]);
+  });
+
+  it("only matches whole words when asked", () => {
+    expect("cat cats".match(compileSearch(search("cat", { wholeWord: true })))).toEqual(["cat"]);
+  });
+
+  it("returns an error for a pattern that doesn't compile", () => {
+    expect(compileSearch(search("(", { regex: true }))).toBeInstanceOf(Error);
+  });
+});
+
+describe("findMatches", () => {
+  it("finds every match with its offsets, skipping empty ones", () => {
+    const segments = [segment(0, "one two one"), segment(1, "none")];
+    expect(findMatches(segments, /one/g).map(({ segmentId, start, end }) => [segmentId, start, end])).toEqual([
+      [0, 0, 3],
+      [0, 8, 11],
+      [1, 1, 4],
+    ]);
+    expect(findMatches(segments, /x*/g)).toEqual([]);
+  });
+
+  it("times a match by the word it starts in", () => {
+    const words = [
+      { text: " one", start: 0.5, end: 1 },
+      { text: " two", start: 1.5, end: 2 },
+    ];
+    expect(findMatches([segment(0, "one two", { words })], /wo/g)[0].time).toBe(1.5);
+    expect(findMatches([segment(3, "one two")], /wo/g)[0].time).toBe(3);
+  });
+});
+
+describe("replaceMatch", () => {
+  const replaceAt = (text, pattern, index, replace, regex = false) => {
+    const segments = [segment(0, text)];
+    const match = findMatches(segments, pattern)[index];
+    return replaceMatch(segments, match, pattern, { replace, regex })[0].text;
+  };
+
+  it("replaces only the chosen match", () => {
+    expect(replaceAt("one two one", /one/g, 1, "three")).toBe("one two three");
+  });
+
+  it("keeps `$` literal in plain replacements and expands groups in regex ones", () => {
+    expect(replaceAt("cost 5", /5/g, 0, "$5")).toBe("cost $5");
+    expect(replaceAt("John Smith", /(\w+) (\w+)/g, 0, "$2, $1", true)).toBe("Smith, John");
+  });
+
+  it("sees the text around the match", () => {
+    expect(replaceAt("Mr Smith and Smith", /(?<=Mr )Smith/g, 0, "Jones")).toBe("Mr Jones and Smith");
+    expect(replaceAt("aa", /^a/g, 0, "b")).toBe("ba");
+    expect(replaceAt("cat cat", /\bcat\b/g, 1, "dog")).toBe("cat dog");
+  });
+
+  it("leaves a segment as it was rather than empty it", () => {
+    const segments = [segment(0, "um")];
+    expect(replaceMatch(segments, findMatches(segments, /um/g)[0], /um/g, { replace: "", regex: false })).toEqual(
+      segments,
+    );
+  });
+});
+
+describe("replaceAllMatches", () => {
+  it("replaces every match and keeps untouched segments as they were", () => {
+    const segments = [segment(0, "one two one"), segment(1, "two")];
+    const replaced = replaceAllMatches(segments, /one/g, { replace: "1", regex: false });
+    expect(replaced[0].text).toBe("1 two 1");
+    expect(replaced[1]).toBe(segments[1]);
+  });
+});
+
+describe("searchSessions", () => {
+  it("finds sessions by title or by their segments", () => {
+    const sessions = [
+      { id: 1, title: "Standup", segments: [segment(0, "nothing here")] },
+      { id: 2, title: "Budget review", segments: [segment(0, "the budget"), segment(1, "other")] },
+      { id: 3, title: "Notes", segments: [segment(0, "budget cuts")] },
+    ];
+    const results = searchSessions(sessions, /budget/gi);
+    expect(results.map(({ session, titleMatch }) => [session.id, titleMatch])).toEqual([
+      [2, true],
+      [3, false],
+    ]);
+    expect(results[0].segments.map(({ segment }) => segment.id)).toEqual([0]);
+  });
+});
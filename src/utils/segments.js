@@ -0,0 +1,278 @@
+// Whisper emits this marker for stretches of silence.
+const BLANK_AUDIO = /\[BLANK_AUDIO\]/g;
+
+// Start a new segment from word-level output after a sentence ends or once
+// a segment gets this long (seconds).
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+const MAX_SEGMENT_DURATION = 10;
+
+export function cleanText(text) {
+  return text.replace(BLANK_AUDIO, "").trim();
+}
+
+/**
+ * Convert pipeline `chunks` (`{ text, timestamp: [start, end] }`) into
+ * `{ start, end, text }` segments. The last chunk has a null end when the
+ * audio stops mid-sentence, so fall back to the audio duration.
+ */
+export function chunksToSegments(chunks, duration) {
+  return chunks
+    .map(({ text, timestamp: [start, end] }) => ({
+      start,
+      end: end ?? duration,
+      text: cleanText(text),
+    }))
+    .filter((segment) => segment.text);
+}
+
+/**
+ * Group word-level chunks into sentence-like segments that keep their words.
+ */
+export function wordsToSegments(chunks, duration) {
+  const segments = [];
+  let words = [];
+
+  const flush = () => {
+    const text = cleanText(words.map((word) => word.text).join(""));
+    if (text) {
+      segments.push({
+        start: words[0].start,
+        end: words[words.length - 1].end,
+        text,
+        words,
+      });
+    }
+    words = [];
+  };
+
+  for (const { text, timestamp: [start, end] } of chunks) {
+    words.push({ start, end: end ?? duration, text });
+    if (
+      SENTENCE_END.test(text.trim()) ||
+      words[words.length - 1].end - words[0].start >= MAX_SEGMENT_DURATION
+    ) {
+      flush();
+    }
+  }
+  if (words.length > 0) flush();
+
+  return segments;
+}
+
+// Words of a segment's text, which its `confidences` line up with
+export function textWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Words match whatever their case and punctuation
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+// How far ahead to look for a word, past overlapping chunks that the
+// pipeline merged away
+const CONFIDENCE_LOOKAHEAD = 16;
+
+/**
+ * Give each segment `confidences`, the probability of each word of its text
+ * or null where the word can't be matched, from the worker's scored words
+ * in transcript order.
+ */
+export function attachConfidence(segments, scoredWords) {
+  if (!scoredWords?.length) return segments;
+  const scored = scoredWords.map(({ text, probability }) => ({ word: normalizeWord(text), probability }));
+  let cursor = 0;
+  return segments.map((segment) => ({
+    ...segment,
+    confidences: textWords(segment.text).map((text) => {
+      const word = normalizeWord(text);
+      const end = Math.min(cursor + CONFIDENCE_LOOKAHEAD, scored.length);
+      for (let i = cursor; i < end; i++) {
+        if (scored[i].word === word) {
+          cursor = i + 1;
+          return scored[i].probability;
+        }
+      }
+      return null;
+    }),
+  }));
+}
+
+// Word timings and confidences only survive an edit that keeps them lined
+// up with the words of the text
+function alignedWords(segment) {
+  return segment.words?.length === textWords(segment.text).length ? segment.words : undefined;
+}
+
+/**
+ * Replace a segment's text, keeping its timestamps. Its words keep their
+ * timings if the number of words stays the same; confidences are dropped,
+ * as the user has checked the text.
+ */
+export function editSegmentText(segment, text) {
+  const words = textWords(text);
+  const timed = alignedWords(segment);
+  return {
+    ...segment,
+    text,
+    words:
+      timed && timed.length === words.length
+        ? timed.map((word, i) => ({ ...word, text: ` ${words[i]}` }))
+        : undefined,
+    confidences: undefined,
+  };
+}
+
+/**
+ * Split a segment at a character index of its text, or null if either half
+ * would be empty. Between words, the split falls where the next word
+ * starts; inside a word, or without word timings, in proportion to the
+ * characters on either side.
+ */
+export function splitSegment(segment, index) {
+  const first = segment.text.slice(0, index).trim();
+  const second = segment.text.slice(index).trim();
+  if (!first || !second) return null;
+
+  const count = textWords(first).length;
+  const betweenWords = count + textWords(second).length === textWords(segment.text).length;
+  const timed = betweenWords ? alignedWords(segment) : undefined;
+  const time = timed
+    ? timed[count].start
+    : segment.start + ((segment.end - segment.start) * index) / segment.text.length;
+  const confidences = betweenWords ? segment.confidences : undefined;
+
+  return [
+    {
+      ...segment,
+      text: first,
+      end: time,
+      words: timed?.slice(0, count),
+      confidences: confidences?.slice(0, count),
+    },
+    {
+      ...segment,
+      text: second,
+      start: time,
+      words: timed?.slice(count),
+      confidences: confidences?.slice(count),
+    },
+  ];
+}
+
+/**
+ * Join two consecutive segments into one, which keeps the first one's ID,
+ * speaker and source.
+ */
+export function mergeSegments(a, b) {
+  const words = alignedWords(a) && alignedWords(b) ? [...a.words, ...b.words] : undefined;
+  const confidences =
+    a.confidences || b.confidences
+      ? [
+          ...(a.confidences ?? textWords(a.text).map(() => null)),
+          ...(b.confidences ?? textWords(b.text).map(() => null)),
+        ]
+      : undefined;
+  return { ...a, text: `${a.text} ${b.text}`, end: b.end, words, confidences };
+}
+
+/**
+ * Move segments and their words `offset` seconds along the timeline.
+ */
+export function shiftSegments(segments, offset) {
+  const shift = (t) => t + offset;
+  return segments.map((segment) => ({
+    ...segment,
+    start: shift(segment.start),
+    end: shift(segment.end),
+    words: segment.words?.map((word) => ({
+      ...word,
+      start: shift(word.start),
+      end: shift(word.end),
+    })),
+  }));
+}
+
+/**
+ * Give each segment the index of the speaker it overlaps most with. Segments
+ * that no speaker turn covers keep the previous segment's speaker.
+ */
+export function assignSpeakers(segments, turns) {
+  let previous;
+  return segments.map((segment) => {
+    const overlap = new Map();
+    for (const turn of turns) {
+      const duration = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (duration > 0) {
+        overlap.set(turn.speaker, (overlap.get(turn.speaker) ?? 0) + duration);
+      }
+    }
+    let speaker = previous;
+    let best = 0;
+    for (const [candidate, duration] of overlap) {
+      if (duration > best) {
+        best = duration;
+        speaker = candidate;
+      }
+    }
+    previous = speaker;
+    return speaker === undefined ? segment : { ...segment, speaker };
+  });
+}
+
+/**
+ * Speaker keys are unique per source, since the same index in two recordings
+ * is not the same person.
+ */
+export function speakerKey(source, speaker) {
+  return `${source}#${speaker}`;
+}
+
+/**
+ * Resolve each segment's speaker key to a display name: the user's name for
+ * it, or "Speaker N" numbered in order of first appearance.
+ */
+export function applySpeakerNames(segments, speakerNames = {}) {
+  const numbers = new Map();
+  return segments.map((segment) => {
+    if (segment.speaker === undefined) return segment;
+    if (!numbers.has(segment.speaker)) {
+      numbers.set(segment.speaker, numbers.size + 1);
+    }
+    const speakerLabel =
+      speakerNames[segment.speaker] ?? `Speaker ${numbers.get(segment.speaker)}`;
+    return { ...segment, speakerLabel };
+  });
+}
+
+/**
+ * Flatten segments back into plain text. Segments from different sources
+ * (recordings or files) are separated by a blank line, and a change of
+ * speaker starts a new labelled paragraph.
+ */
+export function segmentsToText(segments) {
+  return segments
+    .map((segment, i) => {
+      const previous = segments[i - 1];
+      const speakerChanged = segment.speakerLabel && segment.speakerLabel !== previous?.speakerLabel;
+      const text = speakerChanged ? `${segment.speakerLabel}: ${segment.text}` : segment.text;
+      if (i === 0) return text;
+      const separator =
+        segment.source !== previous.source ? "\n\n" : speakerChanged ? "\n" : " ";
+      return separator + text;
+    })
+    .join("");
+}
+
+/**
+ * Format seconds as `m:ss`, or `h:mm:ss` once past the hour.
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${mins.toString().padStart(2, "0")}:${secs}`
+    : `${mins}:${secs}`;
+}
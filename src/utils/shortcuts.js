@@ -0,0 +1,82 @@
+// Keyboard shortcuts, as strings like "Alt+R" or "Ctrl+Shift+Z": modifiers
+// in a fixed order, then the key. Letters and digits are named by their
+// physical key, so Alt+R on a Mac isn't "®".
+const SHORTCUTS_KEY = "shortcuts";
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+const MOD = IS_MAC ? "Meta" : "Ctrl";
+
+export const SHORTCUT_ACTIONS = [
+  { action: "record", label: "Start/stop recording", key: "Alt+R" },
+  { action: "pushToTalk", label: "Push to talk (hold)", key: "Alt+T" },
+  { action: "dictation", label: "Dictation mode on/off", key: "Alt+D" },
+  { action: "playPause", label: "Play/pause audio", key: "Alt+P" },
+  { action: "copy", label: "Copy transcript or dictation", key: "Alt+C" },
+  { action: "export", label: "Export transcript", key: "Alt+E" },
+  { action: "clear", label: "Clear transcript or dictation", key: "Alt+Shift+X" },
+  { action: "find", label: "Find and replace", key: `${MOD}+F` },
+  { action: "undo", label: "Undo edit", key: `${MOD}+Z` },
+  { action: "redo", label: "Redo edit", key: `${MOD}+Shift+Z` },
+];
+
+/**
+ * `{ keys: { [action]: shortcut or "" }, exportFormat }`, with the defaults
+ * for anything not saved.
+ */
+export function loadShortcuts() {
+  const saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) ?? "{}");
+  return {
+    exportFormat: "txt",
+    ...saved,
+    keys: { ...defaultKeys(), ...saved.keys },
+  };
+}
+
+export function saveShortcuts(shortcuts) {
+  localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcuts));
+}
+
+export function defaultKeys() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(({ action, key }) => [action, key]));
+}
+
+const MODIFIER_KEYS = ["Control", "Alt", "Shift", "Meta"];
+
+// The key without modifiers, e.g. "R", "1", "Space", "F8"
+export function keyName(e) {
+  if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3);
+  if (/^Digit\d$/.test(e.code)) return e.code.slice(5);
+  if (e.key === " ") return "Space";
+  return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+}
+
+/**
+ * The shortcut a key press makes, or null for a modifier on its own.
+ */
+export function shortcutFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  return [
+    e.ctrlKey && "Ctrl",
+    e.altKey && "Alt",
+    e.shiftKey && "Shift",
+    e.metaKey && "Meta",
+    keyName(e),
+  ]
+    .filter(Boolean)
+    .join("+");
+}
+
+/**
+ * The action bound to a key press, if any.
+ */
+export function matchShortcut(keys, e) {
+  const shortcut = shortcutFromEvent(e);
+  if (!shortcut) return null;
+  return SHORTCUT_ACTIONS.find(({ action }) => keys[action] === shortcut)?.action ?? null;
+}
+
+// Fields that take typing. Only shortcuts with Alt work in them, so typing
+// and their own copy and undo are left alone.
+export function isTextField(target) {
+  return !!target.closest?.("input, textarea, select, [contenteditable]");
+}
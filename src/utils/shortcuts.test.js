@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from "vitest";
+
+// Read when the module loads, to pick Ctrl or Cmd
+vi.hoisted(() => vi.stubGlobal("navigator", { platform: "Win32" }));
+
+import { defaultKeys, isTextField, keyName, matchShortcut, shortcutFromEvent } from "./shortcuts";
+
+const press = (code, key, modifiers = {}) => ({
+  code,
+  key,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers,
+});
+
+describe("keyName", () => {
+  it("names letters and digits by their physical key", () => {
+    // Alt+R on a Mac types "®"
+    expect(keyName(press("KeyR", "®"))).toBe("R");
+    expect(keyName(press("Digit1", "!"))).toBe("1");
+  });
+
+  it("names other keys by what they type", () => {
+    expect(keyName(press("Space", " "))).toBe("Space");
+    expect(keyName(press("F8", "F8"))).toBe("F8");
+    expect(keyName(press("Slash", "/"))).toBe("/");
+  });
+});
+
+describe("shortcutFromEvent", () => {
+  it("puts the modifiers in a fixed order before the key", () => {
+    expect(shortcutFromEvent(press("KeyZ", "Z", { shiftKey: true, ctrlKey: true }))).toBe("Ctrl+Shift+Z");
+    expect(shortcutFromEvent(press("KeyX", "x", { altKey: true, shiftKey: true, metaKey: true }))).toBe(
+      "Alt+Shift+Meta+X",
+    );
+  });
+
+  it("is null for a modifier on its own", () => {
+    expect(shortcutFromEvent(press("AltLeft", "Alt", { altKey: true }))).toBeNull();
+  });
+});
+
+describe("matchShortcut", () => {
+  it("finds the action bound to a key press", () => {
+    const keys = defaultKeys();
+    expect(matchShortcut(keys, press("KeyR", "r", { altKey: true }))).toBe("record");
+    expect(matchShortcut(keys, press("KeyZ", "Z", { ctrlKey: true, shiftKey: true }))).toBe("redo");
+    expect(matchShortcut(keys, press("KeyR", "r"))).toBeNull();
+  });
+
+  it("uses the keys given, and ignores actions with none", () => {
+    const keys = { ...defaultKeys(), record: "", playPause: "F8" };
+    expect(matchShortcut(keys, press("KeyR", "r", { altKey: true }))).toBeNull();
+    expect(matchShortcut(keys, press("F8", "F8"))).toBe("playPause");
+  });
+});
+
+describe("defaultKeys", () => {
+  it("uses Ctrl outside macOS", () => {
+    expect(defaultKeys()).toMatchObject({ find: "Ctrl+F", undo: "Ctrl+Z", redo: "Ctrl+Shift+Z" });
+  });
+});
+
+describe("isTextField", () => {
+  it("is true inside fields that take typing", () => {
+    const field = { closest: (selector) => (selector.includes("textarea") ? {} : null) };
+    expect(isTextField(field)).toBe(true);
+    expect(isTextField({ closest: () => null })).toBe(false);
+    // The document itself has no `closest`
+    expect(isTextField({})).toBe(false);
+  });
+});
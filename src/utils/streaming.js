@@ -0,0 +1,139 @@
+import { WHISPER_SAMPLING_RATE, CHUNK_LENGTH_S } from "../constants";
+
+// Wait for at least this much new audio before asking for a new hypothesis
+const MIN_NEW_SAMPLES = WHISPER_SAMPLING_RATE / 2;
+// Only trim committed audio off the front once the buffer is this long, so
+// Whisper keeps some context
+const TRIM_AFTER_SAMPLES = WHISPER_SAMPLING_RATE * 10;
+// Whisper sees at most 30 s at once
+const MAX_BUFFER_SAMPLES = WHISPER_SAMPLING_RATE * CHUNK_LENGTH_S;
+
+function toWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Hypotheses agree on a word even if its case or punctuation changed
+function normalize(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+/**
+ * Live transcription over a rolling window of microphone PCM, using local
+ * agreement: a word is committed once two hypotheses in a row agree on it
+ * and everything before it. Committed words never change, the rest of the
+ * latest hypothesis is shown as tentative. Audio whose words are all
+ * committed is dropped, so each pass only covers the recent past.
+ */
+export class LiveTranscript {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+    this.sentLength = 0; // Samples covered by the pending hypothesis
+    this.committed = []; // Words of the whole recording
+    this.hypothesis = []; // Words of the buffered audio, from the last pass
+    this.confirmed = 0; // Leading words of `hypothesis` already committed
+  }
+
+  push(samples) {
+    this.chunks.push(samples);
+    this.length += samples.length;
+  }
+
+  /**
+   * The audio to transcribe next, or null while too little has arrived
+   * since the last pass.
+   */
+  next() {
+    if (this.length - this.sentLength < MIN_NEW_SAMPLES) return null;
+    this.sentLength = Math.min(this.length, MAX_BUFFER_SAMPLES);
+    return this.read(this.sentLength);
+  }
+
+  /**
+   * Take the segments transcribed from the audio `next` returned.
+   */
+  handleResult(segments) {
+    const hypothesis = segments.flatMap((segment) => toWords(segment.text));
+
+    let agreed = 0;
+    while (
+      agreed < hypothesis.length &&
+      agreed < this.hypothesis.length &&
+      normalize(hypothesis[agreed]) === normalize(this.hypothesis[agreed])
+    ) {
+      agreed++;
+    }
+    if (agreed > this.confirmed) {
+      this.committed.push(...hypothesis.slice(this.confirmed, agreed));
+      this.confirmed = agreed;
+    }
+    this.hypothesis = hypothesis;
+
+    // Drop the audio of leading segments that are committed in full
+    let cutTime = null;
+    let cutWords = 0;
+    let words = 0;
+    for (const segment of segments) {
+      words += toWords(segment.text).length;
+      if (words > this.confirmed) break;
+      cutTime = segment.end;
+      cutWords = words;
+    }
+    if (cutTime !== null && this.length > TRIM_AFTER_SAMPLES) {
+      this.trim(Math.round(cutTime * WHISPER_SAMPLING_RATE), cutWords);
+    } else if (this.sentLength >= MAX_BUFFER_SAMPLES) {
+      // The window is full with nowhere to cut, so take what we have
+      this.commitAll(this.sentLength);
+    }
+  }
+
+  /**
+   * Commit the tentative words and drop the audio, once the speaker has
+   * gone quiet and nothing more is coming.
+   */
+  flush() {
+    this.commitAll(this.length);
+  }
+
+  commitAll(count) {
+    this.committed.push(...this.hypothesis.slice(this.confirmed));
+    this.trim(count, this.hypothesis.length);
+  }
+
+  trim(count, words) {
+    count = Math.min(count, this.length);
+    this.sentLength = Math.max(0, this.sentLength - count);
+    this.hypothesis = this.hypothesis.slice(words);
+    this.confirmed = Math.max(0, this.confirmed - words);
+    this.length -= count;
+    while (count > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= count) {
+        this.chunks.shift();
+        count -= chunk.length;
+      } else {
+        this.chunks[0] = chunk.subarray(count);
+        count = 0;
+      }
+    }
+  }
+
+  read(count) {
+    const out = new Float32Array(count);
+    let position = 0;
+    for (const chunk of this.chunks) {
+      if (position >= count) break;
+      const part = chunk.subarray(0, count - position);
+      out.set(part, position);
+      position += part.length;
+    }
+    return out;
+  }
+
+  preview() {
+    return {
+      committed: this.committed.join(" "),
+      tentative: this.hypothesis.slice(this.confirmed).join(" "),
+    };
+  }
+}
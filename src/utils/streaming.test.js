@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+
+import { WHISPER_SAMPLING_RATE } from "../constants";
+import { LiveTranscript } from "./streaming";
+
+// `duration` seconds of audio whose samples hold the second they fall in,
+// counting from `from`
+function audio(duration, from = 0) {
+  const samples = new Float32Array(duration * WHISPER_SAMPLING_RATE);
+  return samples.map((_, i) => from + Math.floor(i / WHISPER_SAMPLING_RATE));
+}
+
+const segment = (start, end, text) => ({ start, end, text });
+
+describe("LiveTranscript", () => {
+  it("asks for a pass once half a second of new audio has arrived", () => {
+    const live = new LiveTranscript();
+    live.push(new Float32Array(WHISPER_SAMPLING_RATE / 4));
+    expect(live.next()).toBeNull();
+
+    live.push(new Float32Array(WHISPER_SAMPLING_RATE / 4));
+    expect(live.next()).toHaveLength(WHISPER_SAMPLING_RATE / 2);
+    expect(live.next()).toBeNull();
+
+    live.push(new Float32Array(WHISPER_SAMPLING_RATE / 2));
+    expect(live.next()).toHaveLength(WHISPER_SAMPLING_RATE);
+  });
+
+  it("commits words once two passes in a row agree on them", () => {
+    const live = new LiveTranscript();
+    live.handleResult([segment(0, 1, "Hello there")]);
+    expect(live.preview()).toEqual({ committed: "", tentative: "Hello there" });
+
+    // Case and punctuation may change between passes
+    live.handleResult([segment(0, 2, "hello there, my friend")]);
+    expect(live.preview()).toEqual({ committed: "hello there,", tentative: "my friend" });
+
+    // Committed words stay, even if a later pass disagrees
+    live.handleResult([segment(0, 2, "Hi there, my friend.")]);
+    expect(live.preview()).toEqual({ committed: "hello there,", tentative: "my friend." });
+  });
+
+  it("commits the tentative words on flush", () => {
+    const live = new LiveTranscript();
+    live.push(audio(2));
+    live.handleResult([segment(0, 2, "Going quiet")]);
+    live.flush();
+    expect(live.preview()).toEqual({ committed: "Going quiet", tentative: "" });
+    expect(live.next()).toBeNull();
+  });
+
+  it("drops audio once its segments are committed, keeping the rest", () => {
+    const live = new LiveTranscript();
+    live.push(audio(12));
+    live.next();
+    const segments = [segment(0, 5, "one two"), segment(5, 9, "three"), segment(9, 12, "four")];
+    live.handleResult(segments);
+    live.push(audio(1, 12));
+    live.next();
+    live.handleResult([...segments.slice(0, 2), segment(9, 12.5, "for")]);
+    expect(live.preview()).toEqual({ committed: "one two three", tentative: "for" });
+
+    // The next pass starts from the first segment not committed in full
+    live.push(audio(1, 13));
+    const next = live.next();
+    expect(next).toHaveLength(5 * WHISPER_SAMPLING_RATE);
+    expect(next[0]).toBe(9);
+  });
+
+  it("commits everything when the window is full and there is nowhere to cut", () => {
+    const live = new LiveTranscript();
+    live.push(audio(31));
+    expect(live.next()).toHaveLength(30 * WHISPER_SAMPLING_RATE);
+    live.handleResult([segment(0, 30, "one long run on sentence")]);
+    expect(live.preview()).toEqual({ committed: "one long run on sentence", tentative: "" });
+    // Only the second that didn't fit is left
+    const next = live.next();
+    expect(next).toHaveLength(WHISPER_SAMPLING_RATE);
+    expect(next[0]).toBe(30);
+  });
+});
@@ -0,0 +1,141 @@
+import { WHISPER_SAMPLING_RATE } from "../constants";
+
+// Energy-based voice activity detection. Audio is split into short frames
+// and a frame counts as speech when it is clearly louder than the noise
+// floor of the clip.
+const FRAME_S = 0.03;
+// Speech must be this much louder than the floor (dB)...
+const SPEECH_MARGIN_DB = 12;
+// ...but this loud is always speech, and this quiet never is, whatever the
+// floor, so a clip of nothing but speech or nothing but hiss still works.
+const ALWAYS_SPEECH_DB = -35;
+const NEVER_SPEECH_DB = -55;
+// Shorter bursts are clicks and bumps, shorter gaps are pauses within speech
+const MIN_SPEECH_S = 0.25;
+const MIN_SILENCE_S = 0.5;
+// Kept either side of speech so word edges aren't clipped
+const PADDING_S = 0.2;
+// Left between trimmed regions, so Whisper still hears a pause
+const GAP_S = 0.3;
+// How fast a live noise floor may rise (dB per second)
+const FLOOR_RISE_DB_PER_S = 3;
+
+function levelDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return 10 * Math.log10(sum / samples.length + 1e-10);
+}
+
+function speechThreshold(floor) {
+  return Math.min(Math.max(floor + SPEECH_MARGIN_DB, NEVER_SPEECH_DB), ALWAYS_SPEECH_DB);
+}
+
+/**
+ * Find the regions of `audio` that contain speech, as `{ start, end }` in
+ * samples.
+ */
+export function detectSpeech(audio, sampleRate = WHISPER_SAMPLING_RATE) {
+  const frame = Math.round(sampleRate * FRAME_S);
+  const levels = [];
+  for (let i = 0; i + frame <= audio.length; i += frame) {
+    levels.push(levelDb(audio.subarray(i, i + frame)));
+  }
+  if (levels.length === 0) return [];
+
+  // The quietest tenth of the clip is taken as its noise floor
+  const floor = [...levels].sort((a, b) => a - b)[Math.floor(levels.length / 10)];
+  const threshold = speechThreshold(floor);
+
+  const regions = [];
+  levels.forEach((level, i) => {
+    if (level < threshold) return;
+    const last = regions[regions.length - 1];
+    if (last && i - last.end <= MIN_SILENCE_S / FRAME_S) {
+      last.end = i + 1;
+    } else {
+      regions.push({ start: i, end: i + 1 });
+    }
+  });
+
+  const padding = Math.round(PADDING_S * sampleRate);
+  return regions
+    .filter(({ start, end }) => (end - start) * FRAME_S >= MIN_SPEECH_S)
+    .map(({ start, end }) => ({
+      start: Math.max(0, start * frame - padding),
+      end: Math.min(audio.length, end * frame + padding),
+    }));
+}
+
+export function hasSpeech(audio, sampleRate = WHISPER_SAMPLING_RATE) {
+  return detectSpeech(audio, sampleRate).length > 0;
+}
+
+/**
+ * Cut the silence out of `audio`, leaving a short gap between speech
+ * regions. Returns the trimmed audio and the pieces needed to map its
+ * timestamps back with `restoreTimestamps`.
+ */
+export function trimSilence(audio, regions, sampleRate = WHISPER_SAMPLING_RATE) {
+  const gap = Math.round(GAP_S * sampleRate);
+  const total = regions.reduce((sum, { start, end }) => sum + end - start, 0);
+  const trimmed = new Float32Array(total + gap * Math.max(0, regions.length - 1));
+
+  const pieces = [];
+  let position = 0;
+  for (const { start, end } of regions) {
+    trimmed.set(audio.subarray(start, end), position);
+    pieces.push({ at: position / sampleRate, offset: (start - position) / sampleRate });
+    position += end - start + gap;
+  }
+  return { audio: trimmed, pieces };
+}
+
+/**
+ * Move segment and word times from the trimmed audio back onto the
+ * timeline of the original.
+ */
+export function restoreTimestamps(segments, pieces) {
+  const restore = (t) => {
+    let piece = pieces[0];
+    for (const candidate of pieces) {
+      if (candidate.at > t) break;
+      piece = candidate;
+    }
+    return t + piece.offset;
+  };
+  return segments.map((segment) => ({
+    ...segment,
+    start: restore(segment.start),
+    end: restore(segment.end),
+    words: segment.words?.map((word) => ({
+      ...word,
+      start: restore(word.start),
+      end: restore(word.end),
+    })),
+  }));
+}
+
+/**
+ * Follows a live stream, batch by batch, and reports how long it has been
+ * silent. The noise floor tracks the quietest recent level, rising slowly
+ * so that a change of room doesn't leave it stuck.
+ */
+export class SilenceTracker {
+  constructor(sampleRate = WHISPER_SAMPLING_RATE) {
+    this.sampleRate = sampleRate;
+    this.floor = NEVER_SPEECH_DB;
+    this.silentFor = 0; // Seconds since the last speech
+  }
+
+  push(samples) {
+    const duration = samples.length / this.sampleRate;
+    const level = levelDb(samples);
+    this.floor = Math.min(level, this.floor + FLOOR_RISE_DB_PER_S * duration);
+    if (level >= speechThreshold(this.floor)) {
+      this.silentFor = 0;
+    } else {
+      this.silentFor += duration;
+    }
+    return this.silentFor === 0;
+  }
+}
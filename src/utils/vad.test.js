@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+
+import { WHISPER_SAMPLING_RATE } from "../constants";
+import { SilenceTracker, detectSpeech, hasSpeech, restoreTimestamps, trimSilence } from "./vad";
+
+const RATE = WHISPER_SAMPLING_RATE;
+
+// Quiet hiss, the same every run
+function hiss(duration, amplitude = 0.001) {
+  let seed = 1;
+  return Float32Array.from({ length: duration * RATE }, () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed / 2147483647 - 0.5) * 2 * amplitude;
+  });
+}
+
+// Hiss with a loud tone from `start` to `end` (s), standing in for speech
+function withTone(audio, start, end) {
+  for (let i = Math.round(start * RATE); i < Math.round(end * RATE); i++) {
+    audio[i] = 0.5 * Math.sin((2 * Math.PI * 220 * i) / RATE);
+  }
+  return audio;
+}
+
+describe("detectSpeech", () => {
+  it("finds speech in silence, padded either side", () => {
+    const [region, ...rest] = detectSpeech(withTone(hiss(3), 1, 2));
+    expect(rest).toEqual([]);
+    // Within a 30 ms frame of the tone, plus 200 ms of padding
+    expect(region.start).toBeGreaterThanOrEqual(0.77 * RATE);
+    expect(region.start).toBeLessThanOrEqual(0.8 * RATE);
+    expect(region.end).toBeGreaterThanOrEqual(2.2 * RATE);
+    expect(region.end).toBeLessThanOrEqual(2.23 * RATE);
+  });
+
+  it("joins speech across short pauses, but not long ones", () => {
+    expect(detectSpeech(withTone(withTone(hiss(4), 0.5, 1.5), 1.8, 2.5))).toHaveLength(1);
+    expect(detectSpeech(withTone(withTone(hiss(4), 0.5, 1.5), 2.5, 3.5))).toHaveLength(2);
+  });
+
+  it("ignores clicks too short to be speech", () => {
+    expect(detectSpeech(withTone(hiss(2), 1, 1.1))).toEqual([]);
+  });
+});
+
+describe("hasSpeech", () => {
+  it("is false for silence and steady hiss", () => {
+    expect(hasSpeech(new Float32Array(RATE))).toBe(false);
+    expect(hasSpeech(hiss(2))).toBe(false);
+  });
+
+  it("is true for a clip that is all speech", () => {
+    expect(hasSpeech(withTone(hiss(2), 0, 2))).toBe(true);
+  });
+});
+
+describe("trimSilence and restoreTimestamps", () => {
+  const audio = withTone(withTone(hiss(3), 0, 1), 2, 3);
+  const regions = [
+    { start: 0, end: RATE },
+    { start: 2 * RATE, end: 3 * RATE },
+  ];
+
+  it("keeps the speech, with a short gap between regions", () => {
+    const { audio: trimmed } = trimSilence(audio, regions);
+    expect(trimmed).toHaveLength(Math.round(2.3 * RATE));
+    expect(trimmed[Math.round(1.3 * RATE) + 100]).toBe(audio[2 * RATE + 100]);
+  });
+
+  it("maps times in the trimmed audio back onto the original", () => {
+    const { pieces } = trimSilence(audio, regions);
+    const [first, second] = restoreTimestamps(
+      [
+        { start: 0.5, end: 0.9, text: "one" },
+        { start: 1.5, end: 2, text: "two", words: [{ text: " two", start: 1.5, end: 2 }] },
+      ],
+      pieces,
+    );
+    expect(first).toMatchObject({ start: 0.5, end: 0.9 });
+    expect(second.start).toBeCloseTo(2.2);
+    expect(second.end).toBeCloseTo(2.7);
+    expect(second.words[0].end).toBeCloseTo(2.7);
+  });
+});
+
+describe("SilenceTracker", () => {
+  it("counts how long the stream has been silent since the last speech", () => {
+    const tracker = new SilenceTracker();
+    const batch = RATE / 4;
+    const speech = withTone(hiss(1), 0, 1);
+    const quiet = hiss(1);
+
+    expect(tracker.push(speech.subarray(0, batch))).toBe(true);
+    expect(tracker.silentFor).toBe(0);
+    for (let i = 0; i < 4; i++) {
+      expect(tracker.push(quiet.subarray(i * batch, (i + 1) * batch))).toBe(false);
+    }
+    expect(tracker.silentFor).toBeCloseTo(1);
+
+    expect(tracker.push(speech.subarray(batch, 2 * batch))).toBe(true);
+    expect(tracker.silentFor).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+// Saved vocabulary lists, `[{ id, name, terms, enabled }]`, where `terms` is
+// the text the user typed. Enabled lists apply to every transcription.
+const LISTS_KEY = "vocabularyLists";
+
+export function loadVocabularyLists() {
+  return JSON.parse(localStorage.getItem(LISTS_KEY) ?? "[]");
+}
+
+export function saveVocabularyLists(lists) {
+  localStorage.setItem(LISTS_KEY, JSON.stringify(lists));
+}
+
+export function newVocabularyList(name = "New list") {
+  return { id: crypto.randomUUID(), name, terms: "", enabled: true };
+}
+
+/**
+ * Split typed terms on commas and new lines.
+ */
+export function parseTerms(text) {
+  return (text ?? "")
+    .split(/[,\n]/)
+    .map((term) => term.trim())
+    .filter(Boolean);
+}
+
+/**
+ * The prompt that steers Whisper towards the terms of the enabled lists and
+ * of the session, or null if there are none.
+ */
+export function buildPrompt(lists, sessionTerms) {
+  const terms = [
+    ...lists.filter(({ enabled }) => enabled).flatMap(({ terms }) => parseTerms(terms)),
+    ...parseTerms(sessionTerms),
+  ];
+  const unique = [...new Set(terms)];
+  return unique.length > 0 ? `${unique.join(", ")}.` : null;
+}
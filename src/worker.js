@@ -1,150 +1,818 @@
 import {
   pipeline,
   full,
+  BaseStreamer,
+  AutoProcessor,
+  AutoModelForAudioFrameClassification,
+  AutoModelForXVector,
+  InterruptableStoppingCriteria,
+  LogitsProcessor,
+  LogitsProcessorList,
+  Tensor,
+  env,
 } from "@huggingface/transformers";
 
+import { WHISPER_SAMPLING_RATE, CHUNK_LENGTH_S, STRIDE_LENGTH_S } from "./constants";
+import { describeError } from "./utils/errors";
+import { AUTO_DETECT } from "./utils/languages";
+import { downloadModel } from "./utils/modelCache";
+import { loadConfig } from "./utils/config";
+import {
+  DEFAULT_MODEL,
+  EMBEDDING_MODEL_ID,
+  FORMATTER_MODEL_ID,
+  SEGMENTATION_MODEL_ID,
+  getDtype,
+  getModel,
+  isMultilingual,
+  resolveDevice,
+} from "./utils/models";
+import {
+  assignSpeakers,
+  attachConfidence,
+  chunksToSegments,
+  wordsToSegments,
+} from "./utils/segments";
+import { detectSpeech, restoreTimestamps, trimSilence } from "./utils/vad";
+
+let runtimeConfig = null;
+
+// Point transformers.js at a self-hosted model server, if there is one. No
+// model loads before this has run.
+const configReady = loadConfig().then((config) => {
+  runtimeConfig = config;
+  env.allowRemoteModels = config.allowRemoteModels;
+  if (config.wasmPath) {
+    env.backends.onnx.wasm.wasmPaths = config.wasmPath;
+  }
+});
+
+// Hub IDs load from the self-hosted server if there is one, since it mirrors
+// the Hub's layout
+function pointAtModelServer() {
+  env.allowLocalModels = !!runtimeConfig.localModelPath;
+  if (runtimeConfig.localModelPath) env.localModelPath = runtimeConfig.localModelPath;
+}
+
+// Whisper's prompt may fill at most half its context, less <|startofprev|>
+const MAX_PROMPT_TOKENS = 223;
+
+/**
+ * Records the log-probability of each generated token. Whisper's own
+ * processors run after this one and change the logits in place, so a step's
+ * logits are only read once the token picked from them is known.
+ */
+class TokenLogProbs extends LogitsProcessor {
+  constructor() {
+    super();
+    this.logits = null;
+    this.tokens = [];
+    this.logprobs = [];
+  }
+
+  _call(input_ids, logits) {
+    this.settle(input_ids[0].at(-1));
+    this.logits = logits[0].data;
+    return logits;
+  }
+
+  settle(token) {
+    if (!this.logits) return;
+    const id = Number(token);
+    let max = -Infinity;
+    for (const value of this.logits) max = Math.max(max, value);
+    let sum = 0;
+    for (const value of this.logits) sum += Math.exp(value - max);
+    this.tokens.push(id);
+    this.logprobs.push(this.logits[id] - max - Math.log(sum));
+    this.logits = null;
+  }
+}
+
+/**
+ * Extends Whisper's `generate()` with two options the pipeline passes on:
+ *
+ * - `prompt_ids`, which transformers.js accepts but doesn't use yet. They go
+ *   in front of the decoder's start tokens, as
+ *   `<|startofprev|> prompt <|startoftranscript|> ...`, and are cut off the
+ *   output again before the pipeline decodes it.
+ * - `token_scores`, an array that gets `{ tokens, logprobs }` for each
+ *   chunk generated.
+ */
+function extendGenerate(transcriber) {
+  const { model, tokenizer } = transcriber;
+  const generate = model.generate.bind(model);
+  const prevSotTokenId =
+    model.generation_config.prev_sot_token_id ?? tokenizer.model.tokens_to_ids.get("<|startofprev|>");
+
+  model.generate = async ({ prompt_ids, token_scores, ...kwargs }) => {
+    const prefix = prompt_ids?.length ? [prevSotTokenId, ...prompt_ids] : [];
+    if (prefix.length > 0) {
+      const config = model._prepare_generation_config(kwargs.generation_config ?? null, kwargs);
+      kwargs.decoder_input_ids = [...prefix, ...model._retrieve_init_tokens(config)];
+    }
+    // A new list each time, since Whisper adds its processors to it
+    const scores = new TokenLogProbs();
+    const logits_processor = new LogitsProcessorList();
+    logits_processor.push(scores);
+
+    const output = await generate({ ...kwargs, logits_processor });
+    const sequences = output instanceof Tensor ? output : output.sequences;
+    scores.settle(sequences.data.at(-1));
+    token_scores?.push({ tokens: scores.tokens, logprobs: scores.logprobs });
+
+    if (prefix.length === 0) return output;
+    const strip = (tensor) => tensor.slice(null, [prefix.length, null]);
+    if (output instanceof Tensor) return strip(output);
+    // Word timestamps come with one timestamp per token
+    return {
+      ...output,
+      sequences: strip(output.sequences),
+      token_timestamps: output.token_timestamps && strip(output.token_timestamps),
+    };
+  };
+  return transcriber;
+}
+
+/**
+ * Turn recorded token scores into words with a probability each: the mean
+ * of their tokens', as Whisper's own word timestamps report it. Special and
+ * timestamp tokens are left out.
+ */
+function scoreWords(tokenizer, tokenScores) {
+  const special = new Set(tokenizer.all_special_ids);
+  const words = [];
+  for (const { tokens, logprobs } of tokenScores) {
+    let current = null; // Words never span chunks
+    tokens.forEach((id, i) => {
+      if (special.has(id) || id >= tokenizer.timestamp_begin) return;
+      const text = tokenizer.decode([id]);
+      const probability = Math.exp(logprobs[i]);
+      if (current && !/^\s/.test(text)) {
+        current.text += text;
+        current.probabilities.push(probability);
+      } else {
+        current = { text, probabilities: [probability] };
+        words.push(current);
+      }
+    });
+  }
+  return words.map(({ text, probabilities }) => ({
+    text: text.trim(),
+    probability: probabilities.reduce((a, b) => a + b, 0) / probabilities.length,
+  }));
+}
+
+// Whisper reads the prompt as what was said before, so terms in it come
+// out spelled the same way
+function promptIds(transcriber, prompt) {
+  const ids = transcriber.tokenizer.encode(` ${prompt.trim()}`, { add_special_tokens: false });
+  return ids.slice(-MAX_PROMPT_TOKENS);
+}
+
 /**
  * This class manages dynamic model loading based on user selection.
  */
 class AutomaticSpeechRecognitionPipelineInstance {
-  static transcribers = new Map(); // Store multiple models
-  static currentModel = 'base'; // Default to base
-  static currentLanguage = 'en'; // Default to English
-  
-  static getModelId(modelType) {
-    const modelMap = {
-      'base': 'onnx-community/whisper-base',
-      'medium': 'onnx-community/whisper-medium-ONNX'
-    };
-    return modelMap[modelType] || modelMap['base'];
+  static transcribers = new Map(); // Store multiple models, by registry key
+  static currentModel = getModel(DEFAULT_MODEL); // Registry entry, see utils/models.js
+  static currentDevice = resolveDevice("auto"); // 'webgpu' or 'wasm'
+
+  // transformers.js looks local models up as `${env.localModelPath}${model_id}`,
+  // so split a path into those two parts.
+  static resolveModelId(model) {
+    if (!model.local) {
+      pointAtModelServer();
+      return model.id;
+    }
+    const path = model.id.replace(/\/+$/, "");
+    const slash = path.lastIndexOf("/");
+    env.allowLocalModels = true;
+    env.localModelPath = path.slice(0, slash + 1);
+    return path.slice(slash + 1);
   }
 
-  static async getInstance(modelType = 'base', progress_callback = null) {
-    const model_id = this.getModelId(modelType);
-    
-    if (!this.transcribers.has(modelType)) {
-      this.transcribers.set(modelType, await pipeline('automatic-speech-recognition', model_id, {
-        dtype: {
-          encoder_model: "fp32", // 'fp16' works too
-          decoder_model_merged: "q4", // or 'fp32' ('fp16' is broken)
-        },
-        device: "webgpu",
+  // The same model loads with different dtypes per device, so cache both
+  static cacheKey(model, device) {
+    return `${model.key}@${device}`;
+  }
+
+  static isLoaded(model = this.currentModel, device = this.currentDevice) {
+    return this.transcribers.has(this.cacheKey(model, device));
+  }
+
+  // The pending load is cached, so a job that arrives mid-load waits for it
+  // instead of starting a second one
+  static async getInstance(model = this.currentModel, progress_callback = null) {
+    const device = this.currentDevice;
+    const key = this.cacheKey(model, device);
+    if (!this.transcribers.has(key)) {
+      const model_id = this.resolveModelId(model);
+      this.transcribers.set(key, pipeline('automatic-speech-recognition', model_id, {
+        dtype: getDtype(model, device),
+        device,
         progress_callback,
-      }));
+      }).then(extendGenerate));
+    }
+    try {
+      return await this.transcribers.get(key);
+    } catch (error) {
+      // Let a retry download again
+      this.transcribers.delete(key);
+      throw error;
+    }
+  }
+
+  // Drop a model whose session can't be trusted any more, such as after the
+  // GPU ran out of memory, so the next job loads it afresh
+  static async forget(model = this.currentModel, device = this.currentDevice) {
+    const key = this.cacheKey(model, device);
+    const transcriber = this.transcribers.get(key);
+    this.transcribers.delete(key);
+    try {
+      await (await transcriber)?.dispose();
+    } catch (error) {
+      console.warn("Error disposing of model:", error);
     }
-    return this.transcribers.get(modelType);
   }
   
-  static setCurrentModel(modelType) {
-    this.currentModel = modelType;
+  static setCurrentModel(model) {
+    this.currentModel = model;
+  }
+
+  static setCurrentDevice(device) {
+    this.currentDevice = resolveDevice(device);
   }
   
   static getCurrentModel() {
     return this.currentModel;
   }
-  
-  static setCurrentLanguage(language) {
-    this.currentLanguage = language;
+}
+
+/**
+ * A small instruction-tuned model for the optional formatting pass. Loaded on
+ * first use, so the download only happens for people who ask for it.
+ */
+class TextFormattingPipelineInstance {
+  static model_id = FORMATTER_MODEL_ID;
+  static generator = null;
+
+  static async getInstance(progress_callback = null) {
+    if (!this.generator) {
+      pointAtModelServer();
+      const device = resolveDevice("auto");
+      this.generator = await pipeline("text-generation", this.model_id, {
+        // fp16 activations need WebGPU
+        dtype: device === "webgpu" ? "q4f16" : "q4",
+        device,
+        progress_callback,
+      });
+    }
+    return this.generator;
   }
-  
-  static getCurrentLanguage() {
-    return this.currentLanguage;
+}
+
+/**
+ * Speaker segmentation finds speaker turns within short windows, and speaker
+ * embeddings match those turns up across the whole recording. Both models are
+ * small and run on WASM, leaving the GPU to Whisper.
+ */
+class SpeakerDiarizationPipelineInstance {
+  static segmentation_id = SEGMENTATION_MODEL_ID;
+  static embedding_id = EMBEDDING_MODEL_ID;
+  static instance = null;
+
+  static async getInstance(progress_callback = null) {
+    if (!this.instance) {
+      pointAtModelServer();
+      const options = { device: "wasm", dtype: "fp32", progress_callback };
+      const [segmentationProcessor, segmentationModel, embeddingProcessor, embeddingModel] =
+        await Promise.all([
+          AutoProcessor.from_pretrained(this.segmentation_id, { progress_callback }),
+          AutoModelForAudioFrameClassification.from_pretrained(this.segmentation_id, options),
+          AutoProcessor.from_pretrained(this.embedding_id, { progress_callback }),
+          AutoModelForXVector.from_pretrained(this.embedding_id, options),
+        ]);
+      this.instance = {
+        segmentationProcessor,
+        segmentationModel,
+        embeddingProcessor,
+        embeddingModel,
+      };
+    }
+    return this.instance;
   }
 }
 
-let processing = false;
-async function generate({ audio, language, isFinal }) {
-  if (processing && !isFinal) {
-    console.log("Worker: Already processing, ignoring non-final request. isFinal was:", isFinal);
-    return;
+// The segmentation model is trained on 10 s windows
+const SEGMENTATION_WINDOW_S = 10;
+// Turns shorter than this give unreliable embeddings
+const MIN_TURN_S = 0.5;
+// Cosine similarity above which a turn is matched to a known speaker
+const SPEAKER_SIMILARITY_THRESHOLD = 0.75;
+
+// Known speakers per recording or file, so long-form windows keep their labels
+const speakerCentroids = new Map();
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; ++i) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
   }
-  
-  // If we're processing and this is a final request, wait for current processing to finish
-  if (processing && isFinal) {
-    console.log("Worker: Waiting for current processing to finish before final processing");
-    while (processing) {
-      await new Promise(resolve => setTimeout(resolve, 50));
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Label speaker turns in `audio` with speaker indices, continuing the
+ * speakers already seen for `speakerSession`.
+ */
+async function findSpeakerTurns(audio, speakerSession) {
+  const {
+    segmentationProcessor,
+    segmentationModel,
+    embeddingProcessor,
+    embeddingModel,
+  } = await SpeakerDiarizationPipelineInstance.getInstance((x) => self.postMessage(x));
+
+  // Only the most recent session is kept, to bound memory
+  if (!speakerCentroids.has(speakerSession)) speakerCentroids.clear();
+  const centroids = speakerCentroids.get(speakerSession) ?? [];
+  speakerCentroids.set(speakerSession, centroids);
+
+  const windowSamples = SEGMENTATION_WINDOW_S * WHISPER_SAMPLING_RATE;
+  const turns = [];
+  for (let offset = 0; offset < audio.length; offset += windowSamples) {
+    const window = audio.subarray(offset, offset + windowSamples);
+    const inputs = await segmentationProcessor(window);
+    const { logits } = await segmentationModel(inputs);
+    const [windowTurns] = segmentationProcessor.post_process_speaker_diarization(logits, window.length);
+
+    for (const { id, start, end } of windowTurns) {
+      // Class 0 is "no speaker"
+      if (id === 0 || end - start < MIN_TURN_S) continue;
+
+      const turnAudio = window.subarray(
+        Math.floor(start * WHISPER_SAMPLING_RATE),
+        Math.ceil(end * WHISPER_SAMPLING_RATE),
+      );
+      const { embeddings } = await embeddingModel(await embeddingProcessor(turnAudio));
+      const embedding = embeddings.data;
+
+      // Match against known speakers, or start a new one
+      let speaker = -1;
+      let best = SPEAKER_SIMILARITY_THRESHOLD;
+      centroids.forEach((centroid, i) => {
+        const similarity = cosineSimilarity(centroid.sum, embedding);
+        if (similarity > best) {
+          best = similarity;
+          speaker = i;
+        }
+      });
+      if (speaker === -1) {
+        speaker = centroids.length;
+        centroids.push({ sum: new Float32Array(embedding.length) });
+      }
+      // Summing keeps the direction of the mean, which is all cosine needs
+      const { sum } = centroids[speaker];
+      for (let i = 0; i < sum.length; ++i) sum[i] += embedding[i];
+
+      const windowStart = offset / WHISPER_SAMPLING_RATE;
+      turns.push({ start: windowStart + start, end: windowStart + end, speaker });
     }
   }
-  
-  processing = true;
+  return turns;
+}
 
-  console.log("Worker: Starting generation, isFinal:", isFinal, "audio length:", audio.length);
+const FORMAT_PROMPT =
+  "You format raw speech-to-text transcripts as Markdown. Fix punctuation and " +
+  "capitalization, split the text into paragraphs, and add a short `###` heading " +
+  "whenever the topic or speaker changes. Keep the speaker's words: do not " +
+  "summarize, add or remove content. Reply with the Markdown only.";
 
-  // Tell the main thread we are starting
-  self.postMessage({ status: "start" });
+const SUMMARY_PROMPT =
+  "You summarize meeting and dictation transcripts. Reply in Markdown with two " +
+  "sections: `## Summary`, a short bullet list of the key points, and " +
+  "`## Action items`, a bullet list of tasks with owners if mentioned, or " +
+  "\"- None\" if there are none.";
 
-  // Retrieve the ASR pipeline for current model
-  const currentModel = AutomaticSpeechRecognitionPipelineInstance.getCurrentModel();
-  const transcriber = await AutomaticSpeechRecognitionPipelineInstance.getInstance(currentModel);
+// The model handles short inputs best, so long transcripts are formatted in
+// parts and only the start is summarized
+const FORMAT_PART_CHARS = 1500;
+const SUMMARY_MAX_CHARS = 6000;
 
-  let startTime;
-  let numTokens = 0;
-  let tps;
-  
-  const callback_function = (output) => {
-    startTime ??= performance.now();
-    numTokens++;
-    if (numTokens > 1) {
-      tps = (numTokens / (performance.now() - startTime)) * 1000;
+// Split text into parts of at most `maxChars`, breaking between sentences
+function splitIntoParts(text, maxChars) {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) ?? [text];
+  const parts = [];
+  let current = "";
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = "";
     }
-    
+    current += sentence;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+async function chat(generator, system, content, max_new_tokens) {
+  const output = await generator(
+    [
+      { role: "system", content: system },
+      { role: "user", content },
+    ],
+    { max_new_tokens, do_sample: false },
+  );
+  return output[0].generated_text.at(-1).content.trim();
+}
+
+async function format({ text }) {
+  try {
+    self.postMessage({ status: "format-start" });
+
+    const generator = await TextFormattingPipelineInstance.getInstance((x) => {
+      self.postMessage(x);
+    });
+
+    const parts = splitIntoParts(text, FORMAT_PART_CHARS);
+    const totalSteps = parts.length + 1;
+    const formatted = [];
+    for (const part of parts) {
+      // Markdown is slightly longer than the input; ~4 characters per token
+      formatted.push(await chat(generator, FORMAT_PROMPT, part, Math.ceil(part.length / 2)));
+      self.postMessage({
+        status: "format-update",
+        step: formatted.length,
+        totalSteps,
+        formatted: formatted.join("\n\n"),
+      });
+    }
+
+    const summary = await chat(generator, SUMMARY_PROMPT, text.slice(0, SUMMARY_MAX_CHARS), 512);
+
     self.postMessage({
-      status: "update",
-      output: Array.isArray(output) ? output.map(chunk => chunk.text).join(' ') : output,
-      tps,
-      numTokens,
+      status: "format-complete",
+      formatted: formatted.join("\n\n"),
+      summary,
     });
+  } catch (error) {
+    console.error("Error during formatting:", error);
+    self.postMessage({
+      status: "format-error",
+      message: error.message,
+    });
+  }
+}
+
+// Thrown to unwind a job that was cancelled
+class CancelledError extends Error {}
+
+/**
+ * Follows generation for one job. The pipeline calls `put()` for every
+ * token, which gives the decoding speed, and `end()` after each chunk of a
+ * long-form transcription, which gives its progress.
+ *
+ * Whisper's `generate()` doesn't pass `stopping_criteria` on in this version
+ * of transformers.js, so the streamer also enforces the job's criteria and
+ * stops generation by throwing.
+ */
+class JobStreamer extends BaseStreamer {
+  constructor(job, totalChunks) {
+    super();
+    this.job = job;
+    this.totalChunks = totalChunks;
+    this.chunksDone = 0;
+    this.numTokens = 0;
+    this.startTime = null;
+  }
+
+  put(value) {
+    if (this.job.stopping_criteria.interrupted) throw new CancelledError();
+    this.startTime ??= performance.now();
+    this.numTokens++;
+    if (this.numTokens > 1) {
+      self.postMessage({
+        status: "update",
+        id: this.job.id,
+        tps: (this.numTokens / (performance.now() - this.startTime)) * 1000,
+        numTokens: this.numTokens,
+      });
+    }
+    return value;
+  }
+
+  end() {
+    this.chunksDone++;
+    if (this.job.data.isFinal) this.report();
+  }
+
+  report() {
+    self.postMessage({
+      status: "chunk",
+      id: this.job.id,
+      chunksDone: this.chunksDone,
+      totalChunks: this.totalChunks,
+    });
+  }
+}
+
+// Mirrors the window/stride arithmetic the pipeline uses to split long audio.
+function countChunks(numSamples) {
+  const window = WHISPER_SAMPLING_RATE * CHUNK_LENGTH_S;
+  const jump = WHISPER_SAMPLING_RATE * (CHUNK_LENGTH_S - 2 * STRIDE_LENGTH_S);
+  return Math.ceil(Math.max(0, numSamples - window) / jump) + 1;
+}
+
+/**
+ * Whisper predicts the language as the first token after
+ * <|startoftranscript|>, so a single decoder step scored over the language
+ * tokens gives the probability of each. Audio past 30 s is ignored.
+ */
+async function detectLanguage(transcriber, audio) {
+  const { model, processor } = transcriber;
+  const { lang_to_id, decoder_start_token_id } = model.generation_config;
+  const { input_features } = await processor(audio);
+  const { logits } = await model({
+    input_features,
+    decoder_input_ids: new Tensor("int64", [BigInt(decoder_start_token_id)], [1, 1]),
+  });
+
+  const scores = Object.entries(lang_to_id).map(([token, id]) => [
+    token.slice(2, -2), // <|en|> -> en
+    logits.data[id],
+  ]);
+  const max = Math.max(...scores.map(([, score]) => score));
+  const total = scores.reduce((sum, [, score]) => sum + Math.exp(score - max), 0);
+  const [language, score] = scores.find(([, s]) => s === max);
+  return { language, confidence: Math.exp(score - max) / total };
+}
+
+/**
+ * Detect the language of each 30 s window, so a recording that switches
+ * language part way through is transcribed in both.
+ */
+async function detectWindowLanguages(transcriber, audio) {
+  const size = WHISPER_SAMPLING_RATE * CHUNK_LENGTH_S;
+  const windows = [];
+  for (let start = 0; start < audio.length; start += size) {
+    const end = Math.min(start + size, audio.length);
+    const detected = await detectLanguage(transcriber, audio.subarray(start, end));
+    windows.push({ start, end, ...detected });
+  }
+  return windows;
+}
+
+// Consecutive windows in the same language are transcribed together
+function toLanguageRuns(windows) {
+  const runs = [];
+  for (const { start, end, language } of windows) {
+    const last = runs[runs.length - 1];
+    if (last?.language === language) {
+      last.end = end;
+    } else {
+      runs.push({ start, end, language });
+    }
+  }
+  return runs;
+}
+
+async function generate(job) {
+  const { id, stopping_criteria } = job;
+  const {
+    audio,
+    language,
+    task,
+    isFinal,
+    wordTimestamps,
+    diarize,
+    vad,
+    speakerSession,
+    prompt,
+  } = job.data;
+
+  console.log("Worker: Starting job", id, "isFinal:", isFinal, "audio length:", audio.length);
+
+  // Tell the main thread we are starting
+  self.postMessage({ status: "start", id });
+
+  // A job may ask for another model, such as a larger one to redo a segment
+  const currentModel = job.data.model ?? AutomaticSpeechRecognitionPipelineInstance.getCurrentModel();
+
+  // Generation stops itself once cancelled, the steps in between check here
+  const checkCancelled = () => {
+    if (stopping_criteria.interrupted) throw new CancelledError();
   };
 
   try {
-    // Use pipeline with chunking for long-form transcription
-    const currentLanguage = AutomaticSpeechRecognitionPipelineInstance.getCurrentLanguage();
+    // Retrieve the ASR pipeline for current model
+    const transcriber = await AutomaticSpeechRecognitionPipelineInstance.getInstance(
+      currentModel,
+      job.data.model ? (x) => self.postMessage(x) : null,
+    );
+
+    // Whisper invents text for long silences, so only give it the speech.
+    // Timestamps are mapped back onto the original audio further down.
+    const speech = vad ? trimSilence(audio, detectSpeech(audio)) : { audio, pieces: null };
+    const input = speech.audio;
+
+    // English-only checkpoints reject a language token, so can't detect one
+    const multilingual = isMultilingual(currentModel);
+    const windows = multilingual && language === AUTO_DETECT && input.length > 0
+      ? await detectWindowLanguages(transcriber, input)
+      : null;
+    const runs = windows
+      ? toLanguageRuns(windows)
+      : [{ start: 0, end: input.length, language: multilingual ? language : undefined }];
+
     const options = {
-      language: currentLanguage,
-      return_timestamps: true,
-      callback_function: !isFinal ? callback_function : undefined, // Only use streaming for real-time
+      // Word-level timing is only worth the extra cost for final transcripts
+      return_timestamps: isFinal && wordTimestamps ? "word" : true,
+      stopping_criteria,
+      prompt_ids: prompt ? promptIds(transcriber, prompt) : null,
     };
     
     // Add chunking for final transcription (long-form)
     if (isFinal) {
-      options.chunk_length_s = 30;
-      options.stride_length_s = 5;
+      options.chunk_length_s = CHUNK_LENGTH_S;
+      options.stride_length_s = STRIDE_LENGTH_S;
     }
 
-    const output = await transcriber(audio, options);
-    
-    // Handle both string output and chunked output with timestamps
-    let transcriptText = "";
-    if (typeof output === 'string') {
-      transcriptText = output;
-    } else if (output.text) {
-      transcriptText = output.text;
-    } else if (Array.isArray(output)) {
-      transcriptText = output.map(chunk => chunk.text).join(' ');
+    // "both" transcribes and then translates the same audio, for a
+    // side-by-side view. The live preview only shows the original.
+    const tasks = task === "both"
+      ? (isFinal ? ["transcribe", "translate"] : ["transcribe"])
+      : [task ?? "transcribe"];
+
+    // Transcribe each language run on its own, with timestamps shifted back
+    // onto the timeline of the whole audio
+    const transcribeRuns = async (task, streamer) => {
+      const texts = [];
+      const chunks = [];
+      const token_scores = [];
+      for (const run of runs) {
+        checkCancelled();
+        const offset = run.start / WHISPER_SAMPLING_RATE;
+        const runDuration = (run.end - run.start) / WHISPER_SAMPLING_RATE;
+        const output = await transcriber(input.subarray(run.start, run.end), {
+          ...options,
+          language: run.language,
+          task: multilingual ? task : undefined,
+          streamer,
+          token_scores,
+        });
+        texts.push(output.text);
+        for (const { text, timestamp: [start, end] } of output.chunks ?? []) {
+          chunks.push({ text, timestamp: [start + offset, (end ?? runDuration) + offset] });
+        }
+      }
+      return { text: texts.join(" "), chunks, words: scoreWords(transcriber.tokenizer, token_scores) };
+    };
+
+    const transcribeTasks = async () => {
+      if (input.length === 0) {
+        console.log("Worker: No speech detected, skipping transcription");
+        return tasks.map(() => ({ text: "", chunks: [], words: [] }));
+      }
+      const streamer = new JobStreamer(
+        job,
+        tasks.length * runs.reduce((n, run) => n + countChunks(run.end - run.start), 0),
+      );
+      if (isFinal) streamer.report();
+      const outputs = [];
+      for (const task of tasks) {
+        outputs.push(await transcribeRuns(task, streamer));
+      }
+      return outputs;
+    };
+
+    let outputs;
+    try {
+      outputs = await transcribeTasks();
+    } catch (error) {
+      // Word timestamps need cross-attention outputs that not every export
+      // provides, so retry with segment timestamps before giving up.
+      if (options.return_timestamps !== "word" || error instanceof CancelledError) throw error;
+      console.warn("Worker: Word timestamps failed, falling back to segments:", error);
+      options.return_timestamps = true;
+      outputs = await transcribeTasks();
+    }
+    const [output, translated] = outputs;
+    const transcriptText = output.text;
+
+    const duration = input.length / WHISPER_SAMPLING_RATE;
+    const toSegments = ({ chunks, words }, { tagLanguage }) => {
+      let segments = options.return_timestamps === "word"
+        ? wordsToSegments(chunks, duration)
+        : chunksToSegments(chunks, duration);
+      segments = attachConfidence(segments, words);
+      // Report the language of the window each segment mostly falls in
+      if (tagLanguage && windows) {
+        segments = segments.map((segment) => {
+          const middle = ((segment.start + segment.end) / 2) * WHISPER_SAMPLING_RATE;
+          const window = windows.find(({ end }) => middle < end) ?? windows[windows.length - 1];
+          return { ...segment, language: window.language, languageConfidence: window.confidence };
+        });
+      }
+      return speech.pieces ? restoreTimestamps(segments, speech.pieces) : segments;
+    };
+    let segments = toSegments(output, { tagLanguage: true });
+    let translation = translated ? toSegments(translated, { tagLanguage: false }) : [];
+
+    if (isFinal && diarize && segments.length > 0) {
+      checkCancelled();
+      try {
+        const turns = await findSpeakerTurns(audio, speakerSession);
+        segments = assignSpeakers(segments, turns);
+        translation = assignSpeakers(translation, turns);
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        // Keep the transcript even if speaker labels are unavailable
+        console.error("Error during diarization:", error);
+      }
     }
 
     // Send the output back to the main thread
     console.log("Worker: Sending result, isFinal:", isFinal, "output:", transcriptText);
     self.postMessage({
       status: "complete",
+      id,
       output: transcriptText || "",
+      segments,
+      translation,
       isFinal: isFinal || false,
     });
   } catch (error) {
+    if (error instanceof CancelledError) {
+      console.log("Worker: Job", id, "cancelled");
+      self.postMessage({ status: "cancelled", id, isFinal: isFinal || false });
+      return;
+    }
     console.error("Error during transcription:", error);
-    self.postMessage({
-      status: "complete",
-      output: "",
-      isFinal: isFinal || false,
-    });
+    const { kind, message } = describeError(error);
+    if (kind === "memory") {
+      await AutomaticSpeechRecognitionPipelineInstance.forget(currentModel);
+    }
+    self.postMessage({ status: "error", id, kind, message, isFinal: isFinal || false });
   }
-  
-  processing = false;
 }
 
-async function load() {
+// Jobs run one at a time. Live previews go ahead of final transcriptions,
+// which would otherwise hold them up for minutes, and are otherwise served
+// in the order they arrived.
+const PRIORITY = { live: 0, final: 1 };
+const queue = [];
+let currentJob = null;
+
+function enqueue(job) {
+  job.priority = job.data.isFinal ? PRIORITY.final : PRIORITY.live;
+  job.stopping_criteria = new InterruptableStoppingCriteria();
+  // A preview of newer audio makes a queued one pointless
+  const stale = queue.findIndex(({ priority }) => priority === PRIORITY.live);
+  if (job.priority === PRIORITY.live && stale !== -1) {
+    const [superseded] = queue.splice(stale, 1);
+    self.postMessage({ status: "cancelled", id: superseded.id, isFinal: false });
+  }
+  const index = queue.findIndex(({ priority }) => priority > job.priority);
+  queue.splice(index === -1 ? queue.length : index, 0, job);
+  runNext();
+}
+
+async function runNext() {
+  if (currentJob || queue.length === 0) return;
+  currentJob = queue.shift();
   try {
+    await generate(currentJob);
+  } finally {
+    currentJob = null;
+    runNext();
+  }
+}
+
+/**
+ * Drop a queued job, or stop the running one at its next token.
+ */
+function cancel(id) {
+  const index = queue.findIndex((job) => job.id === id);
+  if (index !== -1) {
+    const [job] = queue.splice(index, 1);
+    self.postMessage({ status: "cancelled", id, isFinal: job.data.isFinal || false });
+  } else if (currentJob?.id === id) {
+    currentJob.stopping_criteria.interrupt();
+  }
+}
+
+async function load({ model, device } = {}) {
+  try {
+    if (model) {
+      AutomaticSpeechRecognitionPipelineInstance.setCurrentModel(model);
+    }
+    if (device) {
+      AutomaticSpeechRecognitionPipelineInstance.setCurrentDevice(device);
+    }
+
     self.postMessage({
       status: "loading",
       data: "Loading model...",
@@ -169,49 +837,72 @@ async function load() {
     const dummyAudio = new Float32Array(16000).fill(0);
     await transcriber(dummyAudio, { return_timestamps: false });
     
-    self.postMessage({ status: "ready" });
+    self.postMessage({ status: "ready", model: currentModel.id });
   } catch (error) {
     console.error("Error loading model:", error);
-    self.postMessage({
-      status: "error",
-      data: `Failed to load model: ${error.message}`,
-    });
+    postLoadError(error);
   }
 }
 
+// Errors without a job ID are load failures
+function postLoadError(error) {
+  const { kind, message } = describeError(error);
+  self.postMessage({ status: "error", kind, message: `Failed to load model: ${message}` });
+}
+
 // Listen for messages from the main thread
 self.addEventListener("message", async (e) => {
-  const { type, data } = e.data;
+  const { type, id, data } = e.data;
+  await configReady;
 
   switch (type) {
     case "load":
-      load();
+      load(data);
       break;
 
     case "generate":
-      generate(data);
+      enqueue({ id, data });
+      break;
+
+    case "cancel":
+      cancel(id);
+      break;
+
+    case "format":
+      format(data);
+      break;
+
+    case "download":
+      // Fetch a model into the cache for offline use, without loading it
+      downloadModel(data.model, resolveDevice(data.device), (x) => self.postMessage(x))
+        .then(() => self.postMessage({ status: "download-complete", name: data.model.id }))
+        .catch((error) => {
+          console.error("Error downloading model:", error);
+          self.postMessage({ status: "download-error", name: data.model.id, ...describeError(error) });
+        });
       break;
       
     case "setModel":
-      console.log("Setting model to:", data.model);
+      console.log("Setting model to:", data.model.id);
       AutomaticSpeechRecognitionPipelineInstance.setCurrentModel(data.model);
+      AutomaticSpeechRecognitionPipelineInstance.setCurrentDevice(data.device);
       // Pre-load the model if it hasn't been loaded yet
-      if (!AutomaticSpeechRecognitionPipelineInstance.transcribers.has(data.model)) {
+      if (!AutomaticSpeechRecognitionPipelineInstance.isLoaded()) {
         self.postMessage({
           status: "loading",
-          data: `Loading ${data.model} model...`,
+          data: `Loading ${data.model.label}...`,
         });
-        await AutomaticSpeechRecognitionPipelineInstance.getInstance(data.model, (x) => {
-          console.log("Model loading progress:", x);
-          self.postMessage(x);
-        });
-        self.postMessage({ status: "ready" });
+        try {
+          await AutomaticSpeechRecognitionPipelineInstance.getInstance(data.model, (x) => {
+            console.log("Model loading progress:", x);
+            self.postMessage(x);
+          });
+          self.postMessage({ status: "ready", model: data.model.id });
+        } catch (error) {
+          console.error("Error loading model:", error);
+          postLoadError(error);
+        }
       }
       break;
-      
-    case "setLanguage":
-      console.log("Setting language to:", data.language);
-      AutomaticSpeechRecognitionPipelineInstance.setCurrentLanguage(data.language);
-      break;
   }
 });
\ No newline at end of file